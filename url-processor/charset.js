@@ -0,0 +1,131 @@
+// Byte order marks, which override every other declaration
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: "utf-8" },
+  { bytes: [0xfe, 0xff], charset: "utf-16be" },
+  { bytes: [0xff, 0xfe], charset: "utf-16le" },
+];
+
+// Browsers only look for <meta> declarations near the start of the page
+const META_SCAN_BYTES = 1024;
+
+// Used when nothing is declared and the bytes are not valid UTF-8
+const FALLBACK_CHARSET = "windows-1252";
+
+/**
+ * Canonical name of a charset label, as understood by TextDecoder
+ * (e.g. "latin1" and "iso-8859-1" become "windows-1252").
+ * @param {string} label - A charset label
+ * @returns {string|null} The charset, or null if it is not supported
+ */
+export function normalizeCharset(label) {
+  if (typeof label !== "string" || !label.trim()) {
+    return null;
+  }
+  try {
+    return new TextDecoder(label.trim().replace(/^["']|["']$/g, "")).encoding;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Charset declared in a Content-Type header.
+ * @param {string} [contentType] - The Content-Type header
+ * @returns {string|null} The charset, or null if none or an unsupported one
+ *   is declared
+ */
+export function charsetFromContentType(contentType) {
+  const match = /;\s*charset\s*=\s*("[^"]*"|[^;\s]*)/i.exec(contentType || "");
+  return match ? normalizeCharset(match[1]) : null;
+}
+
+/**
+ * Charset declared in `<meta charset>`, `<meta http-equiv="Content-Type">`
+ * or an XML declaration at the start of a page.
+ * @param {Buffer} buffer - The raw bytes of the page
+ * @returns {string|null} The charset, or null if none is declared
+ */
+export function charsetFromMeta(buffer) {
+  // Declarations are ASCII, which every charset but UTF-16 keeps as is
+  const head = buffer.subarray(0, META_SCAN_BYTES).toString("latin1");
+
+  const xml = /^\s*<\?xml[^>]*\sencoding\s*=\s*["']([^"']+)["']/i.exec(head);
+  if (xml) {
+    return metaCharset(xml[1]);
+  }
+
+  for (const [tag] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const charset = /\scharset\s*=\s*["']?([^"'\s/>;]+)/i.exec(tag);
+    if (charset) {
+      return metaCharset(charset[1]);
+    }
+    if (/http-equiv\s*=\s*["']?content-type/i.test(tag)) {
+      const content = /\scontent\s*=\s*("[^"]*"|'[^']*')/i.exec(tag);
+      const declared = content
+        ? charsetFromContentType(content[1].slice(1, -1))
+        : null;
+      if (declared) {
+        return metaCharset(declared);
+      }
+    }
+  }
+  return null;
+}
+
+// A page that can declare its charset in ASCII is not UTF-16, so browsers
+// read such a declaration as UTF-8
+function metaCharset(label) {
+  const charset = normalizeCharset(label);
+  return charset && charset.startsWith("utf-16") ? "utf-8" : charset;
+}
+
+function charsetFromBom(buffer) {
+  const bom = BOMS.find(({ bytes }) =>
+    bytes.every((byte, index) => buffer[index] === byte),
+  );
+  return bom ? bom.charset : null;
+}
+
+/**
+ * Decode the raw bytes of a page or document. The charset is taken from,
+ * in order: a byte order mark, the Content-Type header and, for HTML, a
+ * declaration in the page itself. Without any of these the bytes are read
+ * as UTF-8 if they are valid UTF-8, and as Windows-1252 otherwise.
+ * @param {Buffer|ArrayBuffer} data - The raw bytes
+ * @param {string} [contentType] - The Content-Type header
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - Look for declarations in the page
+ * @returns {{text: string, charset: string, charsetSource: string}} The
+ *   text, the charset used and where it came from ("bom", "header", "meta"
+ *   or "detected")
+ */
+export function decodeBuffer(data, contentType, { html = true } = {}) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+  let charset = charsetFromBom(buffer);
+  let charsetSource = "bom";
+  if (!charset) {
+    charset = charsetFromContentType(contentType);
+    charsetSource = "header";
+  }
+  if (!charset && html) {
+    charset = charsetFromMeta(buffer);
+    charsetSource = "meta";
+  }
+  if (!charset) {
+    charsetSource = "detected";
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+      charset = "utf-8";
+    } catch {
+      charset = FALLBACK_CHARSET;
+    }
+  }
+
+  // TextDecoder removes the byte order mark of the charset it decodes
+  return {
+    text: new TextDecoder(charset).decode(buffer),
+    charset,
+    charsetSource,
+  };
+}
@@ -0,0 +1,137 @@
+import {
+  charsetFromContentType,
+  charsetFromMeta,
+  decodeBuffer,
+  normalizeCharset,
+} from "./charset.js";
+
+// "Grüße" in Windows-1252
+const LATIN1_GREETING = Buffer.from([0x47, 0x72, 0xfc, 0xdf, 0x65]);
+
+describe("normalizeCharset", () => {
+  test("should return the canonical charset name", () => {
+    expect(normalizeCharset("UTF8")).toBe("utf-8");
+    expect(normalizeCharset("ISO-8859-1")).toBe("windows-1252");
+    expect(normalizeCharset('"latin1"')).toBe("windows-1252");
+    expect(normalizeCharset("Shift_JIS")).toBe("shift_jis");
+  });
+
+  test("should reject unknown charsets", () => {
+    expect(normalizeCharset("klingon")).toBeNull();
+    expect(normalizeCharset("")).toBeNull();
+    expect(normalizeCharset(undefined)).toBeNull();
+  });
+});
+
+describe("charsetFromContentType", () => {
+  test("should read the charset parameter", () => {
+    expect(charsetFromContentType("text/html; charset=ISO-8859-1")).toBe(
+      "windows-1252",
+    );
+    expect(charsetFromContentType('text/html;Charset="utf-8"')).toBe("utf-8");
+    expect(charsetFromContentType("text/html")).toBeNull();
+    expect(charsetFromContentType(undefined)).toBeNull();
+  });
+});
+
+describe("charsetFromMeta", () => {
+  test("should read meta charset declarations", () => {
+    expect(
+      charsetFromMeta(Buffer.from('<html><head><meta charset="iso-8859-15">')),
+    ).toBe("iso-8859-15");
+    expect(
+      charsetFromMeta(
+        Buffer.from(
+          '<meta http-equiv="Content-Type" content="text/html; charset=windows-1251">',
+        ),
+      ),
+    ).toBe("windows-1251");
+    expect(
+      charsetFromMeta(Buffer.from('<?xml version="1.0" encoding="KOI8-R"?>')),
+    ).toBe("koi8-r");
+  });
+
+  test("should read UTF-16 declarations as UTF-8", () => {
+    expect(charsetFromMeta(Buffer.from('<meta charset="utf-16">'))).toBe(
+      "utf-8",
+    );
+  });
+
+  test("should ignore pages without a declaration", () => {
+    expect(
+      charsetFromMeta(Buffer.from('<meta name="description" content="x">')),
+    ).toBeNull();
+  });
+});
+
+describe("decodeBuffer", () => {
+  test("should use the charset of the header", () => {
+    expect(
+      decodeBuffer(LATIN1_GREETING, "text/html; charset=iso-8859-1"),
+    ).toEqual({
+      text: "Grüße",
+      charset: "windows-1252",
+      charsetSource: "header",
+    });
+  });
+
+  test("should use the meta charset when the header has none", () => {
+    const html = Buffer.concat([
+      Buffer.from('<meta charset="windows-1252"><p>'),
+      LATIN1_GREETING,
+    ]);
+
+    expect(decodeBuffer(html, "text/html")).toMatchObject({
+      text: '<meta charset="windows-1252"><p>Grüße',
+      charsetSource: "meta",
+    });
+    expect(
+      decodeBuffer(html, "text/plain", { html: false }).charsetSource,
+    ).toBe("detected");
+  });
+
+  test("should let a byte order mark override the header", () => {
+    const bom = Buffer.from([0xef, 0xbb, 0xbf]);
+    const html = Buffer.concat([bom, Buffer.from("Grüße")]);
+
+    expect(decodeBuffer(html, "text/html; charset=iso-8859-1")).toEqual({
+      text: "Grüße",
+      charset: "utf-8",
+      charsetSource: "bom",
+    });
+    expect(
+      decodeBuffer(
+        Buffer.concat([
+          Buffer.from([0xff, 0xfe]),
+          Buffer.from("Grüße", "utf16le"),
+        ]),
+      ).text,
+    ).toBe("Grüße");
+  });
+
+  test("should detect UTF-8 and fall back to Windows-1252", () => {
+    expect(decodeBuffer(Buffer.from("Grüße"))).toMatchObject({
+      text: "Grüße",
+      charset: "utf-8",
+      charsetSource: "detected",
+    });
+    expect(decodeBuffer(Uint8Array.from(LATIN1_GREETING).buffer)).toMatchObject(
+      {
+        text: "Grüße",
+        charset: "windows-1252",
+      },
+    );
+  });
+
+  test("should skip unsupported declarations", () => {
+    const html = Buffer.concat([
+      Buffer.from('<meta charset="iso-8859-1">'),
+      LATIN1_GREETING,
+    ]);
+
+    expect(decodeBuffer(html, "text/html; charset=klingon")).toMatchObject({
+      charset: "windows-1252",
+      charsetSource: "meta",
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { JSDOM } from "jsdom";
+import { Readability } from "@mozilla/readability";
+import * as cheerio from "cheerio";
+
+/**
+ * Extractors in the order they are tried. Each one has to find a minimum
+ * amount of text, otherwise the next one is tried:
+ * - readability: Mozilla Readability with its default options
+ * - readability-relaxed: Readability accepting much shorter articles
+ * - selector: the first common content container (article, main, ...)
+ * - body: the whole body, for htmlToText to read as it is
+ */
+export const EXTRACTORS = [
+  "readability",
+  "readability-relaxed",
+  "selector",
+  "body",
+];
+
+// Readability's default charThreshold. Readability returns its best guess
+// even when it finds less text, so shorter results count as not found.
+const READABILITY_MIN_TEXT = 500;
+
+// Readability options for the second attempt
+const RELAXED_READABILITY_OPTIONS = { charThreshold: 100, nbTopCandidates: 10 };
+
+// Containers that usually hold the main content, most specific first
+const CONTENT_SELECTORS = [
+  "article",
+  "main",
+  "[role=main]",
+  "[itemprop=articleBody]",
+  ".entry-content",
+  ".post-content",
+  ".article-body",
+  ".article-content",
+  "#content",
+  ".content",
+  ".post",
+];
+
+// A container with less text than this is not taken as the content
+const MIN_SELECTOR_TEXT = 100;
+
+// Elements removed before the selector and body extractors
+const NON_CONTENT_SELECTOR =
+  "script, style, noscript, template, nav, aside, form";
+
+/**
+ * Extract the readable content of a page, falling back to simpler
+ * extractors when Readability finds nothing.
+ * @param {string} html - The page HTML
+ * @param {string} url - The page URL, used to resolve relative links
+ * @param {Object} [options]
+ * @param {boolean} [options.skipReadability] - Use the body as it is, for
+ *   HTML that is already clean
+ * @returns {Object} Readability's article fields (title, content,
+ *   textContent, length, excerpt, byline, dir, siteName, lang) plus
+ *   `extractor`, the name of the extractor that succeeded
+ * @throws {Error} If no extractor finds any text
+ */
+export function extractContent(html, url, { skipReadability = false } = {}) {
+  const extractors = skipReadability ? ["body"] : EXTRACTORS;
+
+  for (const extractor of extractors) {
+    const article = runExtractor(extractor, html, url);
+    if (article && textLength(article.textContent) > 0) {
+      return { ...article, extractor };
+    }
+  }
+
+  throw new Error("No readable content found in HTML");
+}
+
+/**
+ * Merge the articles extracted from the pages of a multi-page article into
+ * one. Title and metadata come from the first page.
+ * @param {Array<Object>} articles - Results of extractContent, in page order
+ * @returns {Object} The merged article, with `pages` (the number of pages)
+ *   and `pageExtractors` (the extractor of each page)
+ */
+export function mergeArticles(articles) {
+  const [first] = articles;
+  if (articles.length === 1) {
+    return first;
+  }
+
+  return {
+    ...first,
+    content: articles.map((article) => article.content).join("\n"),
+    textContent: articles.map((article) => article.textContent).join("\n"),
+    length: articles.reduce((sum, article) => sum + article.length, 0),
+    pages: articles.length,
+    pageExtractors: articles.map((article) => article.extractor),
+  };
+}
+
+function runExtractor(extractor, html, url) {
+  switch (extractor) {
+    case "readability":
+      return parseWithReadability(html, url, {}, READABILITY_MIN_TEXT);
+    case "readability-relaxed":
+      return parseWithReadability(
+        html,
+        url,
+        RELAXED_READABILITY_OPTIONS,
+        RELAXED_READABILITY_OPTIONS.charThreshold,
+      );
+    case "selector":
+      return extractBySelector(html);
+    case "body":
+      return extractBody(html);
+  }
+}
+
+function parseWithReadability(html, url, options, minText) {
+  // Readability changes the document, so every attempt gets its own
+  const dom = new JSDOM(html, { url });
+  const article = new Readability(dom.window.document, options).parse();
+  return article && textLength(article.textContent) >= minText ? article : null;
+}
+
+function extractBySelector(html) {
+  const $ = cheerio.load(html);
+  $(NON_CONTENT_SELECTOR).remove();
+
+  for (const selector of CONTENT_SELECTORS) {
+    const element = $(selector)
+      .toArray()
+      .find(
+        (candidate) => textLength($(candidate).text()) >= MIN_SELECTOR_TEXT,
+      );
+    if (element) {
+      return toArticle($, $(element));
+    }
+  }
+  return null;
+}
+
+function extractBody(html) {
+  const $ = cheerio.load(html);
+  $("script, style, noscript, template").remove();
+  return toArticle($, $("body"));
+}
+
+// Article fields as Readability returns them, for content found otherwise
+function toArticle($, $content) {
+  const content = $content.html() || "";
+  const textContent = $content.text();
+
+  // The title is read before the content, so leave it out when the content
+  // starts with it anyway
+  const title =
+    $('meta[property="og:title"]').attr("content")?.trim() ||
+    $("title").first().text().trim() ||
+    null;
+  const firstHeading = $content
+    .find("h1, h2")
+    .first()
+    .text()
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    title: title && title !== firstHeading ? title : null,
+    content,
+    textContent,
+    length: textContent.length,
+    excerpt: null,
+    byline: null,
+    dir: $("html").attr("dir") || null,
+    siteName: $('meta[property="og:site_name"]').attr("content") || null,
+    lang: $("html").attr("lang") || null,
+  };
+}
+
+function textLength(text) {
+  return (text || "").replace(/\s+/g, " ").trim().length;
+}
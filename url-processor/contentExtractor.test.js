@@ -0,0 +1,109 @@
+import { extractContent, mergeArticles } from "./contentExtractor.js";
+
+const URL = "https://example.com/post";
+const PARAGRAPH =
+  "This paragraph is long enough to count as the content of the page. ".repeat(
+    8,
+  );
+
+describe("extractContent", () => {
+  test("should use Readability when it finds the article", () => {
+    const html = `<html><head><title>My Post</title></head><body>
+      <nav><a href="/">Home</a></nav>
+      <article><h1>My Post</h1><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></article>
+    </body></html>`;
+    const article = extractContent(html, URL);
+
+    expect(article.extractor).toBe("readability");
+    expect(article.title).toBe("My Post");
+    expect(article.textContent).toContain("long enough");
+    expect(article.content).not.toContain("Home");
+  });
+
+  test("should retry Readability with relaxed options for short articles", () => {
+    const html = `<html><body><article><p>${PARAGRAPH.slice(0, 250)}</p></article></body></html>`;
+    const article = extractContent(html, URL);
+
+    expect(article.extractor).toBe("readability-relaxed");
+    expect(article.textContent).toContain("long enough");
+  });
+
+  test("should fall back to a content container", () => {
+    // Readability ignores hidden elements and finds nothing
+    const html = `<html><head><title>Hidden</title></head><body>
+      <nav>Menu</nav>
+      <article hidden><p>${PARAGRAPH}</p></article>
+    </body></html>`;
+    const article = extractContent(html, URL);
+
+    expect(article.extractor).toBe("selector");
+    expect(article.title).toBe("Hidden");
+    expect(article.content).toContain("long enough");
+    expect(article.content).not.toContain("Menu");
+  });
+
+  test("should fall back to the body", () => {
+    const html = `<html lang="de"><body>
+      <div hidden><p>Kurzer Text</p></div>
+      <script>var tracking = true;</script>
+    </body></html>`;
+    const article = extractContent(html, URL);
+
+    expect(article.extractor).toBe("body");
+    expect(article.title).toBeNull();
+    expect(article.lang).toBe("de");
+    expect(article.textContent.trim()).toBe("Kurzer Text");
+    expect(article.content).not.toContain("tracking");
+  });
+
+  test("should use the body right away when Readability is skipped", () => {
+    const html = `<html><head><title>Notes</title></head><body>
+      <article><p>${PARAGRAPH}</p></article><footer>Footer text</footer>
+    </body></html>`;
+    const article = extractContent(html, URL, { skipReadability: true });
+
+    expect(article.extractor).toBe("body");
+    expect(article.title).toBe("Notes");
+    expect(article.content).toContain("Footer text");
+  });
+
+  test("should leave out a title the content starts with", () => {
+    const html =
+      "<html><head><title>Notes</title></head><body><h1>Notes</h1><p>Text</p></body></html>";
+    const article = extractContent(html, URL, { skipReadability: true });
+
+    expect(article.title).toBeNull();
+  });
+
+  test("should fail when there is no text at all", () => {
+    expect(() =>
+      extractContent("<html><body><img src='a.png'></body></html>", URL),
+    ).toThrow("No readable content found in HTML");
+  });
+});
+
+describe("mergeArticles", () => {
+  test("should join the pages of an article", () => {
+    const first = extractContent(
+      `<html><head><title>Story</title></head><body><article><p>${PARAGRAPH}</p></article></body></html>`,
+      URL,
+    );
+    const second = extractContent(
+      "<html><body><p>The end.</p></body></html>",
+      `${URL}?page=2`,
+    );
+    const article = mergeArticles([first, second]);
+
+    expect(article.title).toBe("Story");
+    expect(article.content).toContain("long enough");
+    expect(article.content).toContain("The end.");
+    expect(article.length).toBe(first.length + second.length);
+    expect(article.pages).toBe(2);
+    expect(article.pageExtractors).toEqual(["readability", "body"]);
+  });
+
+  test("should return single pages unchanged", () => {
+    const article = { title: "Story", content: "<p>Text</p>" };
+    expect(mergeArticles([article])).toBe(article);
+  });
+});
@@ -0,0 +1,403 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { exec } from "child_process";
+import { promisify } from "util";
+import { htmlToText } from "./htmlToText.js";
+import { escapeXml, shellQuote } from "./escaping.js";
+
+const execAsync = promisify(exec);
+
+/**
+ * Kinds of documents the fetch step handles. Anything that is not
+ * recognized as one of the others is treated as HTML.
+ */
+export const DOCUMENT_TYPES = ["html", "pdf", "markdown", "text"];
+
+// Content types and file extensions of the documents that are not HTML
+const CONTENT_TYPES = {
+  "application/pdf": "pdf",
+  "application/x-pdf": "pdf",
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/plain": "text",
+};
+const EXTENSIONS = {
+  ".pdf": "pdf",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".txt": "text",
+};
+
+// Command that prints the text of the PDF file {input}
+export const DEFAULT_PDF_TEXT_COMMAND = "pdftotext -enc UTF-8 {input} -";
+
+// Limits for the PDF text command
+const PDF_TEXT_TIMEOUT = 60 * 1000;
+const PDF_TEXT_MAX_BUFFER = 50 * 1024 * 1024;
+
+/**
+ * Tell what kind of document a response is, from its Content-Type header
+ * and, for generic types, the extension of the URL.
+ * @param {string} [contentType] - The Content-Type header
+ * @param {string} url - The document URL
+ * @returns {string} One of DOCUMENT_TYPES
+ */
+export function detectDocumentType(contentType, url) {
+  const mimeType = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (mimeType === "text/html" || mimeType === "application/xhtml+xml") {
+    return "html";
+  }
+
+  // Servers often send Markdown as text/plain or files as octet-stream, so
+  // the extension decides for those
+  let extension = "";
+  try {
+    extension = path.extname(new URL(url).pathname).toLowerCase();
+  } catch {
+    // Not a URL with a path
+  }
+  if (
+    EXTENSIONS[extension] &&
+    (!mimeType ||
+      mimeType === "text/plain" ||
+      mimeType === "application/octet-stream")
+  ) {
+    return EXTENSIONS[extension];
+  }
+
+  return CONTENT_TYPES[mimeType] || "html";
+}
+
+/**
+ * Extract the text of a PDF with a local command such as pdftotext.
+ * @param {Buffer} pdf - The PDF file
+ * @param {string} [command] - Shell command that prints the text of the
+ *   file given as {input}
+ * @returns {Promise<string>} The text of the PDF
+ */
+export async function extractPdfText(pdf, command = DEFAULT_PDF_TEXT_COMMAND) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-"));
+  try {
+    const inputPath = path.join(dir, "document.pdf");
+    await fs.writeFile(inputPath, pdf);
+
+    const { stdout } = await execAsync(
+      command.replace(/\{input\}/g, shellQuote(inputPath)),
+      { timeout: PDF_TEXT_TIMEOUT, maxBuffer: PDF_TEXT_MAX_BUFFER },
+    );
+    return stdout;
+  } catch (error) {
+    throw new Error(
+      `PDF text extraction failed: ${(error.stderr || error.message).trim().slice(-500)}`,
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Convert the text of a PDF to text chunks. Page breaks become paragraph
+ * breaks and words hyphenated at the end of a line are joined.
+ * @param {string} text - Output of extractPdfText
+ * @param {Object} [options] - htmlToText options
+ * @returns {Array} Text chunks like those of htmlToText
+ */
+export function pdfTextToChunks(text, options = {}) {
+  const cleaned = text
+    .replace(/\f/g, "\n\n")
+    .replace(/(\p{L})-\n[ \t]*(\p{Ll})/gu, "$1$2");
+  return textToChunks(cleaned, options);
+}
+
+/**
+ * Convert plain text to text chunks. Blocks separated by blank lines become
+ * paragraphs, lines underlined with === or --- become headings and blocks
+ * of bullet or numbered lines become lists.
+ * @param {string} text - The plain text
+ * @param {Object} [options] - htmlToText options
+ * @returns {Array} Text chunks like those of htmlToText
+ */
+export function textToChunks(text, options = {}) {
+  const blocks = normalizeNewlines(text).split(/\n[ \t]*\n/);
+  const html = blocks
+    .map((block) => {
+      const lines = block.split("\n").filter((line) => line.trim());
+      if (lines.length === 0) {
+        return "";
+      }
+
+      const underline = lines.length === 2 && lines[1].match(/^\s*(=+|-+)\s*$/);
+      if (underline) {
+        const level = underline[1][0] === "=" ? 1 : 2;
+        return `<h${level}>${escapeXml(lines[0].trim())}</h${level}>`;
+      }
+
+      if (lines.every((line) => LIST_ITEM_PATTERN.test(line))) {
+        return listToHtml(lines, escapeXml);
+      }
+
+      return `<p>${escapeXml(lines.map((line) => line.trim()).join(" "))}</p>`;
+    })
+    .join("\n");
+
+  return htmlToText(html, options);
+}
+
+/**
+ * Convert Markdown to text chunks. Headings, paragraphs, block quotes,
+ * nested lists, fenced and indented code blocks and tables become the same
+ * chunks htmlToText emits for their HTML counterparts; inline formatting
+ * is reduced to its text.
+ * @param {string} markdown - The Markdown source
+ * @param {Object} [options] - htmlToText options
+ * @returns {Array} Text chunks like those of htmlToText
+ */
+export function markdownToChunks(markdown, options = {}) {
+  return htmlToText(markdownToHtml(markdown), options);
+}
+
+// A bullet or numbered list item, with its indentation, marker and text
+const LIST_ITEM_PATTERN = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE_PATTERN = /^ {0,3}(=+|-+)\s*$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Block-level Markdown to HTML, enough for htmlToText to read it
+function markdownToHtml(markdown) {
+  const lines = normalizeNewlines(markdown)
+    // Front matter of static site generators
+    .replace(/^---\n[\s\S]*?\n(---|\.\.\.)\n/, "")
+    .split("\n");
+  const html = [];
+  let paragraph = [];
+
+  const endParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${inlineMarkdown(paragraph.join(" "))}</p>`);
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      endParagraph();
+      continue;
+    }
+
+    // Setext headings underline the paragraph before them
+    const underline = line.match(SETEXT_UNDERLINE_PATTERN);
+    if (underline && paragraph.length > 0) {
+      const level = underline[1][0] === "=" ? 1 : 2;
+      html.push(
+        `<h${level}>${inlineMarkdown(paragraph.join(" "))}</h${level}>`,
+      );
+      paragraph = [];
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING_PATTERN);
+    if (heading) {
+      endParagraph();
+      const level = heading[1].length;
+      html.push(`<h${level}>${inlineMarkdown(heading[2] || "")}</h${level}>`);
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      endParagraph();
+      const code = [];
+      for (i++; i < lines.length; i++) {
+        if (lines[i].trim().startsWith(fence[1])) break;
+        code.push(lines[i]);
+      }
+      html.push(`<pre><code>${escapeXml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    // Indented code blocks cannot interrupt a paragraph
+    if (paragraph.length === 0 && /^( {4}|\t)/.test(line)) {
+      const code = [];
+      for (; i < lines.length; i++) {
+        if (lines[i].trim() && !/^( {4}|\t)/.test(lines[i])) break;
+        code.push(lines[i].replace(/^( {4}|\t)/, ""));
+      }
+      i--;
+      html.push(`<pre><code>${escapeXml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      endParagraph();
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      endParagraph();
+      const quoted = [];
+      for (; i < lines.length && QUOTE_PATTERN.test(lines[i]); i++) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+      }
+      i--;
+      html.push(
+        `<blockquote>${markdownToHtml(quoted.join("\n"))}</blockquote>`,
+      );
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      endParagraph();
+      const items = [];
+      for (; i < lines.length; i++) {
+        const current = lines[i];
+        if (LIST_ITEM_PATTERN.test(current) || /^\s+\S/.test(current)) {
+          items.push(current);
+        } else if (
+          !current.trim() &&
+          /^\s+\S|^\s*([-*+]|\d{1,9}[.)])\s/.test(lines[i + 1] || "")
+        ) {
+          // A blank line between items or before an indented paragraph
+          items.push("");
+        } else {
+          break;
+        }
+      }
+      i--;
+      html.push(listToHtml(items, inlineMarkdown));
+      continue;
+    }
+
+    if (
+      line.includes("|") &&
+      TABLE_DELIMITER_PATTERN.test(lines[i + 1] || "")
+    ) {
+      endParagraph();
+      const rows = [line];
+      for (i += 2; i < lines.length && lines[i].includes("|"); i++) {
+        rows.push(lines[i]);
+      }
+      i--;
+      html.push(tableToHtml(rows));
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+  endParagraph();
+
+  return html.join("\n");
+}
+
+// Nested <ul>/<ol> lists from list item lines. Lines that are not items
+// continue the item before them; after a blank line they start a new
+// paragraph in it.
+function listToHtml(lines, formatText) {
+  const items = [];
+  let blank = false;
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      blank = true;
+      continue;
+    }
+    const match = line.match(LIST_ITEM_PATTERN);
+    if (match) {
+      items.push({
+        indent: match[1].replace(/\t/g, "    ").length,
+        ordered: /\d/.test(match[2]),
+        start: parseInt(match[2]),
+        paragraphs: [match[3].trim()],
+      });
+    } else if (items.length > 0) {
+      const paragraphs = items.at(-1).paragraphs;
+      if (blank) {
+        paragraphs.push(line.trim());
+      } else {
+        paragraphs[paragraphs.length - 1] += ` ${line.trim()}`;
+      }
+    }
+    blank = false;
+  }
+
+  let html = "";
+  const open = [];
+  for (const item of items) {
+    while (open.length > 0 && item.indent < open.at(-1).indent) {
+      html += `</li></${open.pop().tag}>`;
+    }
+    if (open.length === 0 || item.indent > open.at(-1).indent) {
+      const tag = item.ordered ? "ol" : "ul";
+      html +=
+        item.ordered && item.start !== 1
+          ? `<ol start="${item.start}">`
+          : `<${tag}>`;
+      open.push({ indent: item.indent, tag });
+    } else {
+      html += "</li>";
+    }
+
+    html +=
+      item.paragraphs.length > 1
+        ? `<li>${item.paragraphs.map((text) => `<p>${formatText(text)}</p>`).join("")}`
+        : `<li>${formatText(item.paragraphs[0])}`;
+  }
+  while (open.length > 0) {
+    html += `</li></${open.pop().tag}>`;
+  }
+
+  return html;
+}
+
+// GFM table: a header row, the delimiter row (already skipped) and body rows
+function tableToHtml(rows) {
+  const cells = (row) =>
+    row
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/(?<!\\)\|$/, "")
+      .split(/(?<!\\)\|/)
+      .map((cell) => inlineMarkdown(cell.trim().replace(/\\\|/g, "|")));
+
+  const [header, ...body] = rows;
+  return `<table><thead><tr>${cells(header)
+    .map((cell) => `<th>${cell}</th>`)
+    .join("")}</tr></thead><tbody>${body
+    .map(
+      (row) =>
+        `<tr>${cells(row)
+          .map((cell) => `<td>${cell}</td>`)
+          .join("")}</tr>`,
+    )
+    .join("")}</tbody></table>`;
+}
+
+// Reduce inline Markdown to its text, as escaped HTML
+function inlineMarkdown(text) {
+  const plain = text
+    // Images are read as their alt text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    // Links and reference links are read as their text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+    .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, "$1")
+    .replace(/`+([^`]+?)`+/g, "$1")
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "$2")
+    .replace(/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])/g, "$1")
+    .replace(/(?<![\w_])_(?=\S)(.+?)(?<=\S)_(?![\w_])/g, "$1")
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "$1")
+    // Inline HTML tags
+    .replace(/<\/?[a-z][^>]*>/gi, "")
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, "$1");
+
+  return escapeXml(plain);
+}
+
+function normalizeNewlines(text) {
+  return text.replace(/\r\n?/g, "\n");
+}
@@ -0,0 +1,157 @@
+import {
+  detectDocumentType,
+  extractPdfText,
+  markdownToChunks,
+  pdfTextToChunks,
+  textToChunks,
+} from "./documentConverters.js";
+import { CODE_NOTICE } from "./htmlToText.js";
+
+describe("detectDocumentType", () => {
+  test("should use the content type", () => {
+    expect(
+      detectDocumentType("application/pdf", "https://e.com/get?id=1"),
+    ).toBe("pdf");
+    expect(
+      detectDocumentType("text/markdown; charset=utf-8", "https://e.com/a"),
+    ).toBe("markdown");
+    expect(detectDocumentType("text/plain", "https://e.com/notes")).toBe(
+      "text",
+    );
+    expect(
+      detectDocumentType("text/html; charset=utf-8", "https://e.com/a.md"),
+    ).toBe("html");
+  });
+
+  test("should use the extension for generic content types", () => {
+    expect(detectDocumentType("text/plain", "https://e.com/README.md")).toBe(
+      "markdown",
+    );
+    expect(
+      detectDocumentType("application/octet-stream", "https://e.com/paper.PDF"),
+    ).toBe("pdf");
+    expect(detectDocumentType(undefined, "https://e.com/notes.txt")).toBe(
+      "text",
+    );
+    expect(detectDocumentType(undefined, "https://e.com/post")).toBe("html");
+  });
+});
+
+describe("textToChunks", () => {
+  test("should read paragraphs, underlined headings and lists", () => {
+    const text = [
+      "Release Notes",
+      "=============",
+      "",
+      "This release fixes",
+      "several bugs.",
+      "",
+      "Changes",
+      "-------",
+      "",
+      "- Faster startup",
+      "- Smaller <images>",
+    ].join("\r\n");
+
+    expect(textToChunks(text)).toEqual([
+      { text: "Release Notes", type: "h", level: 1 },
+      { text: "This release fixes several bugs.", type: "p" },
+      { text: "Changes", type: "h", level: 2 },
+      { text: "• Faster startup\n• Smaller <images>", type: "list" },
+    ]);
+  });
+});
+
+describe("pdfTextToChunks", () => {
+  test("should join hyphenated words and split pages", () => {
+    const text = "The experi-\nment worked well.\fSecond page text.";
+
+    expect(pdfTextToChunks(text)).toEqual([
+      { text: "The experiment worked well.", type: "p" },
+      { text: "Second page text.", type: "p" },
+    ]);
+  });
+});
+
+describe("markdownToChunks", () => {
+  test("should keep headings and reduce inline formatting", () => {
+    const markdown = `---
+title: Front matter
+---
+# The *Title*
+
+Some **bold** text with a [link](https://example.com) and \`code\`.
+A second line of the same paragraph.
+
+Setext heading
+--------------
+
+## Closed heading ##
+`;
+
+    expect(markdownToChunks(markdown)).toEqual([
+      { text: "The Title", type: "h", level: 1 },
+      {
+        text: "Some bold text with a link and code. A second line of the same paragraph.",
+        type: "p",
+      },
+      { text: "Setext heading", type: "h", level: 2 },
+      { text: "Closed heading", type: "h", level: 2 },
+    ]);
+  });
+
+  test("should read nested lists like HTML lists", () => {
+    const markdown = `1. Prepare
+2. Cook
+   - Boil water
+   - Add pasta
+
+     Stir often
+3. Serve`;
+
+    expect(markdownToChunks(markdown)).toEqual([
+      {
+        text: "1. Prepare\n2. Cook\n  • Boil water\n  • Add pasta. Stir often\n3. Serve",
+        type: "list",
+      },
+    ]);
+  });
+
+  test("should read quotes, code and tables with the htmlToText strategies", () => {
+    const markdown = `> Quoted *words*
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+| Name | Score |
+|------|------:|
+| Alice | 30 |
+`;
+
+    expect(markdownToChunks(markdown)).toEqual([
+      { text: "Quoted words", type: "quote" },
+      { text: CODE_NOTICE, type: "code" },
+      { text: "Name: Alice, Score: 30.", type: "table" },
+    ]);
+    expect(
+      markdownToChunks(markdown, { code: "read", tables: "skip" }),
+    ).toEqual([
+      { text: "Quoted words", type: "quote" },
+      { text: "const a = 1;", type: "code" },
+    ]);
+  });
+});
+
+describe("extractPdfText", () => {
+  test("should run the extraction command on the file", async () => {
+    const text = await extractPdfText(Buffer.from("PDF text"), "cat {input}");
+    expect(text).toBe("PDF text");
+  });
+
+  test("should report failures of the command", async () => {
+    await expect(
+      extractPdfText(Buffer.from(""), "echo broken file >&2; exit 1"),
+    ).rejects.toThrow("PDF text extraction failed: broken file");
+  });
+});
@@ -0,0 +1,228 @@
+import * as cheerio from "cheerio";
+
+/**
+ * Extraction rules for the pages of one site.
+ * @typedef {Object} DomainRule
+ * @property {string} hostname - Site the rule applies to, also to its
+ *   subdomains ("example.com" covers "blog.example.com")
+ * @property {Array<string>} [keep] - CSS selectors of the content to keep;
+ *   everything else in the body is dropped when any of them matches
+ * @property {Array<string>} [remove] - CSS selectors of elements to remove,
+ *   such as footers, cookie banners or related articles
+ * @property {Object<string, string>} [headers] - Extra request headers for
+ *   fetching the page
+ * @property {string} [userAgent] - User agent for fetching the page
+ */
+
+// Limits for rules added through the API
+const MAX_SELECTORS = 50;
+const MAX_SELECTOR_LENGTH = 500;
+const MAX_HEADERS = 20;
+const MAX_HEADER_VALUE_LENGTH = 1000;
+
+// Header names as allowed by RFC 9110
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Reduce a hostname or URL to the hostname rules are keyed by: lowercase and
+ * without a leading "www.".
+ * @param {string} value - A hostname such as "www.Example.com" or a URL
+ * @returns {string|null} The hostname, or null if invalid
+ */
+export function normalizeHostname(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  let hostname = value.trim().toLowerCase();
+  if (hostname.includes("://")) {
+    try {
+      hostname = new URL(hostname).hostname;
+    } catch {
+      return null;
+    }
+  }
+  hostname = hostname.replace(/^www\./, "").replace(/\.$/, "");
+
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(hostname) && hostname.length <= 253
+    ? hostname
+    : null;
+}
+
+/**
+ * Find the rule for a URL. A rule for a parent domain also applies to its
+ * subdomains; the most specific rule wins.
+ * @param {Array<DomainRule>} rules - All rules
+ * @param {string} url - The page URL
+ * @returns {DomainRule|null} The matching rule, or null if none matches or
+ *   the URL is not a web URL (such as the pseudo-URLs of pasted HTML)
+ */
+export function findDomainRule(rules, url) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return null;
+    }
+    hostname = normalizeHostname(parsed.hostname);
+  } catch {
+    return null;
+  }
+  if (!hostname) {
+    return null;
+  }
+
+  return (
+    rules
+      .filter(
+        (rule) =>
+          hostname === rule.hostname || hostname.endsWith(`.${rule.hostname}`),
+      )
+      .sort((a, b) => b.hostname.length - a.hostname.length)[0] || null
+  );
+}
+
+/**
+ * Validate a rule from a request body.
+ * @param {Object} body - The rule as sent by the client
+ * @returns {string|null} An error message, or null if the rule is valid
+ */
+export function validateDomainRule(body) {
+  if (!normalizeHostname(body?.hostname)) {
+    return "A valid hostname is required";
+  }
+
+  for (const field of ["keep", "remove"]) {
+    const selectors = body[field];
+    if (selectors === undefined) continue;
+
+    if (!Array.isArray(selectors) || selectors.length > MAX_SELECTORS) {
+      return `${field} must be a list of at most ${MAX_SELECTORS} CSS selectors`;
+    }
+    for (const selector of selectors) {
+      if (
+        typeof selector !== "string" ||
+        !selector.trim() ||
+        selector.length > MAX_SELECTOR_LENGTH
+      ) {
+        return `Invalid ${field} selector`;
+      }
+      if (!isValidSelector(selector)) {
+        return `Invalid ${field} selector "${selector}"`;
+      }
+    }
+  }
+
+  if (body.headers !== undefined) {
+    if (
+      typeof body.headers !== "object" ||
+      body.headers === null ||
+      Array.isArray(body.headers) ||
+      Object.keys(body.headers).length > MAX_HEADERS
+    ) {
+      return `headers must be an object of at most ${MAX_HEADERS} header names and values`;
+    }
+    for (const [name, value] of Object.entries(body.headers)) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        return `Invalid header name "${name}"`;
+      }
+      if (!isValidHeaderValue(value)) {
+        return `Invalid value for header "${name}"`;
+      }
+    }
+  }
+
+  if (body.userAgent !== undefined && !isValidHeaderValue(body.userAgent)) {
+    return "Invalid userAgent";
+  }
+
+  return null;
+}
+
+/**
+ * Build a rule with only the fields that are set, from a valid request body.
+ * @param {Object} body - A rule that passed validateDomainRule
+ * @returns {DomainRule}
+ */
+export function cleanDomainRule(body) {
+  const rule = { hostname: normalizeHostname(body.hostname) };
+
+  for (const field of ["keep", "remove"]) {
+    const selectors = (body[field] || []).map((selector) => selector.trim());
+    if (selectors.length > 0) {
+      rule[field] = selectors;
+    }
+  }
+  if (body.headers && Object.keys(body.headers).length > 0) {
+    rule.headers = body.headers;
+  }
+  if (body.userAgent?.trim()) {
+    rule.userAgent = body.userAgent.trim();
+  }
+
+  return rule;
+}
+
+/**
+ * Apply the keep and remove selectors of a rule to a page.
+ * @param {string} html - The page HTML
+ * @param {DomainRule} rule - The rule for the page
+ * @returns {string} The HTML with unwanted elements removed, or with only
+ *   the kept elements in its body
+ */
+export function applyDomainRule(html, rule) {
+  if (!rule.keep?.length && !rule.remove?.length) {
+    return html;
+  }
+
+  const $ = cheerio.load(html);
+
+  if (rule.keep?.length) {
+    // Elements inside another kept element come along with it
+    const kept = $(rule.keep.join(", ")).filter(
+      (_, element) =>
+        $(element).parents().filter(rule.keep.join(", ")).length === 0,
+    );
+    if (kept.length > 0) {
+      $("body").empty().append(kept);
+    }
+  }
+
+  if (rule.remove?.length) {
+    $(rule.remove.join(", ")).remove();
+  }
+
+  return $.html();
+}
+
+/**
+ * Request headers for fetching a page covered by a rule.
+ * @param {DomainRule|null} rule - The rule for the page
+ * @returns {Object<string, string>} The rule's headers, with its user agent
+ */
+export function getDomainRuleHeaders(rule) {
+  if (!rule) {
+    return {};
+  }
+  return {
+    ...rule.headers,
+    ...(rule.userAgent ? { "User-Agent": rule.userAgent } : {}),
+  };
+}
+
+function isValidSelector(selector) {
+  try {
+    cheerio.load("")(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidHeaderValue(value) {
+  return (
+    typeof value === "string" &&
+    value.length <= MAX_HEADER_VALUE_LENGTH &&
+    !/[\r\n\0]/.test(value)
+  );
+}
@@ -0,0 +1,155 @@
+import {
+  applyDomainRule,
+  cleanDomainRule,
+  findDomainRule,
+  getDomainRuleHeaders,
+  normalizeHostname,
+  validateDomainRule,
+} from "./domainRules.js";
+
+describe("normalizeHostname", () => {
+  test("should reduce hostnames and URLs to the rule key", () => {
+    expect(normalizeHostname("www.Example.com")).toBe("example.com");
+    expect(normalizeHostname("https://blog.example.com/post?a=1")).toBe(
+      "blog.example.com",
+    );
+    expect(normalizeHostname(" news.example.org. ")).toBe("news.example.org");
+  });
+
+  test("should reject invalid hostnames", () => {
+    expect(normalizeHostname("")).toBeNull();
+    expect(normalizeHostname("example .com")).toBeNull();
+    expect(normalizeHostname("example.com/path")).toBeNull();
+    expect(normalizeHostname(undefined)).toBeNull();
+  });
+});
+
+describe("findDomainRule", () => {
+  const rules = [
+    { hostname: "example.com", remove: [".footer"] },
+    { hostname: "blog.example.com", remove: [".related"] },
+  ];
+
+  test("should pick the most specific rule", () => {
+    expect(findDomainRule(rules, "https://www.example.com/a").remove).toEqual([
+      ".footer",
+    ]);
+    expect(findDomainRule(rules, "https://blog.example.com/a").remove).toEqual([
+      ".related",
+    ]);
+    expect(findDomainRule(rules, "https://shop.example.com/a").remove).toEqual([
+      ".footer",
+    ]);
+  });
+
+  test("should not match other sites or pasted HTML", () => {
+    expect(findDomainRule(rules, "https://notexample.com/")).toBeNull();
+    expect(findDomainRule(rules, "html://abc123")).toBeNull();
+  });
+});
+
+describe("validateDomainRule", () => {
+  test("should accept a complete rule", () => {
+    expect(
+      validateDomainRule({
+        hostname: "example.com",
+        keep: ["article .body"],
+        remove: [".newsletter", "#cookie-banner"],
+        headers: { Cookie: "consent=1" },
+        userAgent: "Mozilla/5.0",
+      }),
+    ).toBeNull();
+  });
+
+  test("should reject invalid fields", () => {
+    expect(validateDomainRule({})).toMatch("hostname");
+    expect(
+      validateDomainRule({ hostname: "example.com", remove: "footer" }),
+    ).toMatch("remove");
+    expect(
+      validateDomainRule({ hostname: "example.com", keep: ["div[["] }),
+    ).toMatch('Invalid keep selector "div[["');
+    expect(
+      validateDomainRule({
+        hostname: "example.com",
+        headers: { "Bad Header": "x" },
+      }),
+    ).toMatch("header name");
+    expect(
+      validateDomainRule({
+        hostname: "example.com",
+        userAgent: "Agent\r\nX-Injected: 1",
+      }),
+    ).toBe("Invalid userAgent");
+  });
+});
+
+describe("cleanDomainRule", () => {
+  test("should keep only the fields that are set", () => {
+    expect(
+      cleanDomainRule({
+        hostname: "www.Example.com",
+        keep: [],
+        remove: [" .footer "],
+        headers: {},
+        userAgent: " ",
+      }),
+    ).toEqual({ hostname: "example.com", remove: [".footer"] });
+  });
+});
+
+describe("applyDomainRule", () => {
+  const html = `<html><head><title>Post</title></head><body>
+    <div class="banner">Accept cookies</div>
+    <main><h1>Post</h1><p>Text</p><div class="newsletter">Subscribe</div></main>
+    <aside><p>Related</p></aside>
+  </body></html>`;
+
+  test("should remove unwanted elements", () => {
+    const result = applyDomainRule(html, {
+      hostname: "example.com",
+      remove: [".banner", ".newsletter"],
+    });
+
+    expect(result).not.toContain("Accept cookies");
+    expect(result).not.toContain("Subscribe");
+    expect(result).toContain("<p>Text</p>");
+    expect(result).toContain("<title>Post</title>");
+  });
+
+  test("should keep only the selected content", () => {
+    const result = applyDomainRule(html, {
+      hostname: "example.com",
+      keep: ["main", "main p"],
+      remove: [".newsletter"],
+    });
+
+    expect(result).toContain("<h1>Post</h1>");
+    expect(result.match(/<p>Text<\/p>/g)).toHaveLength(1);
+    expect(result).not.toContain("Accept cookies");
+    expect(result).not.toContain("Related");
+    expect(result).not.toContain("Subscribe");
+  });
+
+  test("should leave the page alone when nothing is kept", () => {
+    const result = applyDomainRule(html, {
+      hostname: "example.com",
+      keep: [".missing"],
+    });
+
+    expect(result).toContain("Accept cookies");
+  });
+});
+
+describe("getDomainRuleHeaders", () => {
+  test("should add the user agent to the headers", () => {
+    expect(
+      getDomainRuleHeaders({
+        hostname: "example.com",
+        headers: { Cookie: "consent=1" },
+        userAgent: "Reader/1.0",
+      }),
+    ).toEqual({ Cookie: "consent=1", "User-Agent": "Reader/1.0" });
+    expect(getDomainRuleHeaders(null)).toEqual({});
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Escape text for XML and HTML content and attribute values.
+ * @param {string} unsafe - The text to escape
+ * @returns {string} The escaped text
+ */
+export function escapeXml(unsafe) {
+  return unsafe
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+/**
+ * Quote a value as a single argument of a shell command.
+ * @param {string} value - The value to quote
+ * @returns {string} The value in single quotes
+ */
+export function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
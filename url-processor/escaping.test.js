@@ -0,0 +1,19 @@
+import { execSync } from "child_process";
+import { escapeXml, shellQuote } from "./escaping.js";
+
+describe("escapeXml", () => {
+  test("should escape markup characters and quotes", () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+      "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#039;s&lt;/a&gt;",
+    );
+  });
+});
+
+describe("shellQuote", () => {
+  test("should pass values to the shell as one argument", () => {
+    const value = `it's "$HOME" \`ls\`; rm -rf x`;
+    expect(
+      execSync(`printf %s ${shellQuote(value)}`, { encoding: "utf8" }),
+    ).toBe(value);
+  });
+});
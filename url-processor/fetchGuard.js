@@ -0,0 +1,227 @@
+import dns from "dns";
+import net from "net";
+
+export const DEFAULT_FETCH_MAX_BYTES = 20 * 1024 * 1024;
+export const DEFAULT_FETCH_MAX_REDIRECTS = 5;
+
+// Code of the errors thrown when a fetch is refused
+export const FETCH_REFUSED = "ERR_FETCH_REFUSED";
+
+// Loopback, private, link-local, shared, reserved and multicast ranges,
+// which reach the host itself or its internal network
+const PRIVATE_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+const privateRanges = new net.BlockList();
+for (const [address, prefix, type] of PRIVATE_RANGES) {
+  privateRanges.addSubnet(address, prefix, type);
+}
+
+function refused(message) {
+  const error = new Error(message);
+  error.code = FETCH_REFUSED;
+  return error;
+}
+
+function ipType(address) {
+  return net.isIPv6(address) ? "ipv6" : "ipv4";
+}
+
+// Hostnames in URLs keep IPv6 addresses in brackets
+function bareHostname(hostname) {
+  return hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+/**
+ * Whether an IP address belongs to a loopback, private, link-local or other
+ * non-public range.
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  return (
+    net.isIP(address) !== 0 && privateRanges.check(address, ipType(address))
+  );
+}
+
+/**
+ * Parse an allowlist like "intranet.example.com,10.0.5.0/24,192.168.1.7".
+ * Hostnames also allow their subdomains. Invalid entries are skipped.
+ * @param {string} [value] - Comma-separated hostnames, IP addresses and
+ *   CIDR ranges
+ * @returns {{hostnames: string[], addresses: net.BlockList}} The allowlist
+ */
+export function parseFetchAllowList(value) {
+  const hostnames = [];
+  const addresses = new net.BlockList();
+
+  for (const item of (value || "").split(",")) {
+    const entry = bareHostname(item.trim());
+    if (!entry) {
+      continue;
+    }
+
+    const [address, prefix] = entry.split("/");
+    if (net.isIP(address)) {
+      const type = ipType(address);
+      const maxPrefix = type === "ipv6" ? 128 : 32;
+      const bits = prefix === undefined ? maxPrefix : Number(prefix);
+      if ((prefix !== undefined && !/^\d+$/.test(prefix)) || bits > maxPrefix) {
+        console.warn(`Ignoring invalid FETCH_ALLOWED_HOSTS entry: ${item}`);
+        continue;
+      }
+      addresses.addSubnet(address, bits, type);
+    } else if (/^[a-z0-9_-]+(\.[a-z0-9_-]+)*\.?$/.test(entry)) {
+      hostnames.push(entry.replace(/\.$/, ""));
+    } else {
+      console.warn(`Ignoring invalid FETCH_ALLOWED_HOSTS entry: ${item}`);
+    }
+  }
+
+  return { hostnames, addresses };
+}
+
+function isAllowedHostname(hostname, allowList) {
+  const host = bareHostname(hostname).replace(/\.$/, "");
+  return allowList.hostnames.some(
+    (allowed) => host === allowed || host.endsWith(`.${allowed}`),
+  );
+}
+
+function isAllowedAddress(address, allowList) {
+  return (
+    !isPrivateAddress(address) ||
+    allowList.addresses.check(address, ipType(address))
+  );
+}
+
+/**
+ * Check a URL before it is requested: only http and https are fetched, and
+ * hosts given as a private IP address are refused unless allowed. Hostnames
+ * are checked once they are resolved, see createFetchLookup.
+ * @param {string} url - The URL to fetch
+ * @param {{hostnames: string[], addresses: net.BlockList}} allowList
+ * @throws {Error} With code FETCH_REFUSED if the URL must not be fetched
+ */
+export function checkFetchUrl(url, allowList) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw refused(`Refusing to fetch ${url}: only http and https are allowed`);
+  }
+
+  const hostname = bareHostname(parsed.hostname);
+  if (net.isIP(hostname) && !isAllowedAddress(hostname, allowList)) {
+    throw refused(
+      `Refusing to fetch ${url}: ${hostname} is a private or local address (allow it with FETCH_ALLOWED_HOSTS)`,
+    );
+  }
+}
+
+/**
+ * DNS lookup for outgoing requests that fails when a hostname resolves to a
+ * private address. The addresses checked are the ones connected to, also
+ * after redirects, so a second DNS answer cannot get around the check.
+ * Allowed hostnames are not checked.
+ * @param {{hostnames: string[], addresses: net.BlockList}} allowList
+ * @returns {Function} A lookup function like dns.lookup
+ */
+export function createFetchLookup(allowList) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      if (!isAllowedHostname(hostname, allowList)) {
+        const blocked = addresses.find(
+          ({ address }) => !isAllowedAddress(address, allowList),
+        );
+        if (blocked) {
+          return callback(
+            refused(
+              `Refusing to fetch from ${hostname}: it resolves to the private or local address ${blocked.address} (allow it with FETCH_ALLOWED_HOSTS)`,
+            ),
+          );
+        }
+      }
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  };
+}
+
+/**
+ * Axios options that apply the fetch limits: private addresses are refused
+ * (also after redirects), the response size and the number of redirects
+ * are capped.
+ * @param {Object} limits
+ * @param {{hostnames: string[], addresses: net.BlockList}} limits.allowList
+ * @param {number} limits.maxBytes - Maximum size of a response body
+ * @param {number} limits.maxRedirects - Maximum number of redirects
+ * @returns {Object} Options for axios requests
+ */
+export function getFetchGuardOptions({ allowList, maxBytes, maxRedirects }) {
+  return {
+    lookup: createFetchLookup(allowList),
+    // Redirect targets given as IP addresses are not looked up
+    beforeRedirect: (options) => checkFetchUrl(options.href, allowList),
+    maxContentLength: maxBytes,
+    maxRedirects,
+  };
+}
+
+// The error and the errors it wraps, outermost first
+function errorChain(error) {
+  const chain = [];
+  for (let current = error; current && chain.length < 5;) {
+    chain.push(current);
+    current = current.cause;
+  }
+  return chain;
+}
+
+/**
+ * Message of a failed fetch that names the limit it ran into.
+ * @param {Error} error - The error thrown by axios
+ * @param {string} url - The requested URL
+ * @param {{maxBytes: number, maxRedirects: number}} limits
+ * @returns {string} The message
+ */
+export function describeFetchError(error, url, { maxBytes, maxRedirects }) {
+  const chain = errorChain(error);
+
+  const refusal = chain.find((item) => item.code === FETCH_REFUSED);
+  if (refusal) {
+    return refusal.message;
+  }
+  if (/^maxContentLength size of \d+ exceeded/.test(error.message)) {
+    return `Refusing to download ${url}: the response is larger than ${maxBytes} bytes (FETCH_MAX_BYTES)`;
+  }
+  const status = error.response?.status;
+  if (
+    chain.some((item) => item.code === "ERR_FR_TOO_MANY_REDIRECTS") ||
+    (maxRedirects === 0 && status >= 300 && status < 400)
+  ) {
+    return `Refusing to fetch ${url}: it redirects more than ${maxRedirects} times (FETCH_MAX_REDIRECTS)`;
+  }
+  return error.message;
+}
@@ -0,0 +1,160 @@
+import http from "http";
+import axios from "axios";
+import {
+  FETCH_REFUSED,
+  checkFetchUrl,
+  createFetchLookup,
+  describeFetchError,
+  getFetchGuardOptions,
+  isPrivateAddress,
+  parseFetchAllowList,
+} from "./fetchGuard.js";
+
+const NO_ALLOW_LIST = parseFetchAllowList("");
+
+describe("isPrivateAddress", () => {
+  test("should match loopback, private and link-local addresses", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.18.0.5",
+      "192.168.1.1",
+      "169.254.169.254",
+      "0.0.0.0",
+      "::1",
+      "fd12::1",
+      "fe80::1",
+      "::ffff:127.0.0.1",
+    ]) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  test("should not match public addresses", () => {
+    expect(isPrivateAddress("93.184.216.34")).toBe(false);
+    expect(isPrivateAddress("172.32.0.1")).toBe(false);
+    expect(isPrivateAddress("2606:4700::1111")).toBe(false);
+    expect(isPrivateAddress("example.com")).toBe(false);
+  });
+});
+
+describe("parseFetchAllowList", () => {
+  test("should read hostnames, addresses and ranges", () => {
+    const allowList = parseFetchAllowList(
+      " Intranet.example.com , 10.0.5.0/24,[::1], bad host, 10.0.0.0/40",
+    );
+
+    expect(allowList.hostnames).toEqual(["intranet.example.com"]);
+    expect(allowList.addresses.check("10.0.5.9", "ipv4")).toBe(true);
+    expect(allowList.addresses.check("10.0.6.1", "ipv4")).toBe(false);
+    expect(allowList.addresses.check("::1", "ipv6")).toBe(true);
+  });
+});
+
+describe("checkFetchUrl", () => {
+  test("should refuse private addresses and other protocols", () => {
+    expect(() =>
+      checkFetchUrl("http://169.254.169.254/latest/meta-data", NO_ALLOW_LIST),
+    ).toThrow("169.254.169.254 is a private or local address");
+    expect(() => checkFetchUrl("http://[::1]:3000/", NO_ALLOW_LIST)).toThrow(
+      "::1 is a private or local address",
+    );
+    expect(() => checkFetchUrl("file:///etc/passwd", NO_ALLOW_LIST)).toThrow(
+      "only http and https are allowed",
+    );
+  });
+
+  test("should allow public and allowlisted addresses", () => {
+    expect(() =>
+      checkFetchUrl("https://93.184.216.34/", NO_ALLOW_LIST),
+    ).not.toThrow();
+    expect(() =>
+      checkFetchUrl("http://10.0.5.9/", parseFetchAllowList("10.0.5.0/24")),
+    ).not.toThrow();
+  });
+});
+
+describe("createFetchLookup", () => {
+  const lookup = (hostname, allowList) =>
+    new Promise((resolve, reject) => {
+      createFetchLookup(allowList)(hostname, {}, (error, address) =>
+        error ? reject(error) : resolve(address),
+      );
+    });
+
+  test("should refuse hostnames that resolve to private addresses", async () => {
+    await expect(lookup("localhost", NO_ALLOW_LIST)).rejects.toMatchObject({
+      code: FETCH_REFUSED,
+      message: expect.stringContaining("Refusing to fetch from localhost"),
+    });
+  });
+
+  test("should resolve allowlisted hostnames", async () => {
+    await expect(
+      lookup("localhost", parseFetchAllowList("localhost")),
+    ).resolves.toMatch(/^(127\.0\.0\.1|::1)$/);
+  });
+});
+
+describe("getFetchGuardOptions", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const hops = parseInt(req.url.slice(1));
+      if (req.url === "/large") {
+        res.end("x".repeat(2000));
+      } else if (hops > 0) {
+        res.writeHead(302, { Location: `/${hops - 1}` }).end();
+      } else if (req.url === "/metadata") {
+        res.writeHead(302, { Location: "http://169.254.169.254/" }).end();
+      } else {
+        res.end("done");
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "localhost", resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const limits = {
+    allowList: parseFetchAllowList("localhost"),
+    maxBytes: 1000,
+    maxRedirects: 2,
+  };
+  const fetchError = (url, fetchLimits = limits) =>
+    axios.get(url, getFetchGuardOptions(fetchLimits)).then(
+      () => null,
+      (error) => describeFetchError(error, url, fetchLimits),
+    );
+
+  test("should refuse local servers unless allowed", async () => {
+    expect(
+      await fetchError(`${baseUrl}/0`, {
+        ...limits,
+        allowList: NO_ALLOW_LIST,
+      }),
+    ).toMatch("Refusing to fetch from localhost");
+    expect(await fetchError(`${baseUrl}/2`)).toBeNull();
+  });
+
+  test("should check redirect targets", async () => {
+    expect(await fetchError(`${baseUrl}/metadata`)).toMatch(
+      "169.254.169.254 is a private or local address",
+    );
+  });
+
+  test("should limit redirects and the response size", async () => {
+    expect(await fetchError(`${baseUrl}/3`)).toMatch(
+      "redirects more than 2 times (FETCH_MAX_REDIRECTS)",
+    );
+    expect(
+      await fetchError(`${baseUrl}/1`, { ...limits, maxRedirects: 0 }),
+    ).toMatch("redirects more than 0 times");
+    expect(await fetchError(`${baseUrl}/large`)).toMatch(
+      "larger than 1000 bytes (FETCH_MAX_BYTES)",
+    );
+  });
+});
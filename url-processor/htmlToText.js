@@ -1,17 +1,77 @@
 import * as cheerio from "cheerio";
 
+/**
+ * Strategies for content that cannot be read like running text, with the
+ * default first:
+ * - tables: "rows" reads each row with its header labels, "skip" drops them
+ * - code: "notice" replaces code blocks with CODE_NOTICE, "read" reads
+ *   them line by line, "skip" drops them
+ * - figures: "caption" emits the figure caption as its own chunk, "skip"
+ *   drops it
+ */
+export const HTML_TO_TEXT_STRATEGIES = {
+  tables: ["rows", "skip"],
+  code: ["notice", "read", "skip"],
+  figures: ["caption", "skip"],
+};
+
+// Spoken in place of a code block with the "notice" strategy
+export const CODE_NOTICE = "Code block skipped.";
+
+// Lists longer than this many characters are split into several chunks
+export const DEFAULT_LIST_MAX_CHARS = 1000;
+
+// Elements that start a new sentence inside a list item
+const LIST_ITEM_BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "blockquote",
+  "figure",
+  "section",
+  "dl",
+]);
+
 /**
  * Convert HTML to structured text chunks using cheerio
  * @param {string} html - The HTML content to process
+ * @param {Object} [options] - Strategies, see HTML_TO_TEXT_STRATEGIES
+ * @param {string} [options.tables] - How to read tables (default: rows)
+ * @param {string} [options.code] - How to read code blocks (default: notice)
+ * @param {string} [options.figures] - How to read figures (default: caption)
+ * @param {number} [options.listMaxChars] - Lists longer than this are split
+ *   between top-level items (default: DEFAULT_LIST_MAX_CHARS)
  * @returns {Array} Array of text chunks with type and content
  */
-export function htmlToText(html) {
+export function htmlToText(html, options = {}) {
+  const {
+    tables = "rows",
+    code = "notice",
+    figures = "caption",
+    listMaxChars = DEFAULT_LIST_MAX_CHARS,
+  } = options;
   const $ = cheerio.load(html);
 
   // Remove script and style elements
   $("script, style").remove();
 
   const chunks = [];
+  // Number of blockquote elements around the node being walked
+  let quoteDepth = 0;
+
+  // Add a chunk; text inside a blockquote becomes a quote chunk
+  function pushChunk(chunk) {
+    if (quoteDepth > 0 && ["p", "h", "list", "other"].includes(chunk.type)) {
+      chunks.push({ text: chunk.text, type: "quote" });
+    } else {
+      chunks.push(chunk);
+    }
+  }
 
   // Walk through the DOM tree in document order
   function walkNode(node) {
@@ -44,7 +104,7 @@ export function htmlToText(html) {
             type: "other",
           };
         }
-        chunks.push(chunk);
+        pushChunk(chunk);
       }
       return;
     }
@@ -71,45 +131,88 @@ export function htmlToText(html) {
               type: "p",
             };
           }
-          chunks.push(chunk);
+          pushChunk(chunk);
         }
         return; // Don't process children of p/h elements
       }
 
-      // Handle ordered lists (ol)
-      if (tagName === "ol") {
-        const listItems = [];
-        $node.children("li").each((index, li) => {
-          const itemText = $(li).text().replace(/\s+/g, " ").trim();
-          if (itemText) {
-            listItems.push(`${index + 1}. ${itemText}`);
+      if (tagName === "table") {
+        if (tables === "rows") {
+          const text = tableToText($, $node);
+          if (text) {
+            pushChunk({ text, type: "table" });
           }
-        });
-        if (listItems.length > 0) {
-          chunks.push({
-            text: listItems.join("\n"),
-            type: "other",
-          });
         }
-        return; // Don't process children of ol elements
+        return; // Rows are read by tableToText, including nested content
       }
 
-      // Handle unordered lists (ul)
-      if (tagName === "ul") {
-        const listItems = [];
-        $node.children("li").each((_, li) => {
-          const itemText = $(li).text().replace(/\s+/g, " ").trim();
-          if (itemText) {
-            listItems.push(`• ${itemText}`);
+      if (tagName === "pre") {
+        if (code === "notice") {
+          pushChunk({ text: CODE_NOTICE, type: "code" });
+        } else if (code === "read") {
+          const text = codeToText($node);
+          if (text) {
+            pushChunk({ text, type: "code" });
           }
-        });
-        if (listItems.length > 0) {
-          chunks.push({
-            text: listItems.join("\n"),
-            type: "other",
+        }
+        return;
+      }
+
+      // Figures are walked as usual, except for the caption
+      if (tagName === "figcaption") {
+        if (figures === "caption") {
+          const text = $node.text().replace(/\s+/g, " ").trim();
+          if (text) {
+            pushChunk({ text, type: "caption" });
+          }
+        }
+        return;
+      }
+
+      // Blockquotes become quote chunks, one per paragraph they contain
+      if (tagName === "blockquote") {
+        // Blocks with their own chunk type or strategy are walked as usual
+        if (
+          $node.find(
+            "p, h1, h2, h3, h4, h5, h6, ul, ol, div, pre, table, figure",
+          ).length
+        ) {
+          quoteDepth++;
+          $node.contents().each((_, child) => {
+            walkNode(child);
           });
+          quoteDepth--;
+        } else {
+          const fullText = $node.text().replace(/\s+/g, " ").trim();
+          if (fullText) {
+            chunks.push({ text: fullText, type: "quote" });
+          }
+        }
+        return;
+      }
+
+      // Lists become list chunks, one line per item with sub-items indented
+      // below their parent. Long lists are split between top-level items.
+      if (tagName === "ol" || tagName === "ul") {
+        let group = [];
+        let groupLength = 0;
+        const pushGroup = () => {
+          if (group.length > 0) {
+            pushChunk({ text: group.join("\n"), type: "list" });
+          }
+          group = [];
+          groupLength = 0;
+        };
+
+        for (const item of listItems($, $node, { tables, code, figures })) {
+          if (groupLength > 0 && groupLength + item.length > listMaxChars) {
+            pushGroup();
+          }
+          group.push(item);
+          groupLength += item.length + 1;
         }
-        return; // Don't process children of ul elements
+        pushGroup();
+        return; // Items are read by listItems, including nested lists
       }
 
       // For other elements, process children
@@ -140,8 +243,8 @@ export function htmlToText(html) {
 
     if (!cleanText) continue;
 
-    // For p and h elements, always keep separate
-    if (chunk.type === "p" || chunk.type === "h") {
+    // Only "other" chunks are merged, all other types are kept separate
+    if (chunk.type !== "other") {
       mergedChunks.push({
         ...chunk,
         text: cleanText,
@@ -189,6 +292,19 @@ export function chunksToHtml(chunks) {
       if (chunk.type === "p") {
         return `<p>${chunk.text}</p>`;
       }
+      if (chunk.type === "quote") {
+        return `<blockquote>${chunk.text}</blockquote>`;
+      }
+      if (
+        chunk.type === "table" ||
+        chunk.type === "caption" ||
+        chunk.type === "list"
+      ) {
+        return `<p>${chunk.text.replace(/\n/g, "<br>")}</p>`;
+      }
+      if (chunk.type === "code") {
+        return `<pre>${chunk.text}</pre>`;
+      }
       if (chunk.type === "other") {
         return `<div>${chunk.text}</div>`;
       }
@@ -197,3 +313,194 @@ export function chunksToHtml(chunks) {
     .join("");
   return html;
 }
+
+// Read a table row by row. With header cells, each value is labelled with
+// its column header ("Name: Alice, Age: 30."); otherwise the cells of a row
+// are listed. A caption comes first.
+function tableToText($, $table) {
+  const table = $table[0];
+  // Rows of this table, not of tables nested in its cells
+  const rows = $table
+    .find("tr")
+    .filter((_, tr) => $(tr).closest("table")[0] === table)
+    .toArray();
+
+  const cellText = (cell) => $(cell).text().replace(/\s+/g, " ").trim();
+  const rowCells = (row) => $(row).children("th, td").toArray();
+
+  // Expand cells spanning several columns, so values line up with headers
+  const expandColumns = (cells) =>
+    cells.flatMap((cell) =>
+      Array(Math.max(parseInt($(cell).attr("colspan")) || 1, 1)).fill(cell),
+    );
+
+  // The header row is the one in thead, else a first row of only th cells
+  let headerRow = rows.find((row) => $(row).parent().is("thead"));
+  if (
+    !headerRow &&
+    rows.length > 1 &&
+    rowCells(rows[0]).length > 0 &&
+    rowCells(rows[0]).every((cell) => cell.tagName.toLowerCase() === "th")
+  ) {
+    headerRow = rows[0];
+  }
+  const headers = headerRow
+    ? expandColumns(rowCells(headerRow)).map(cellText)
+    : [];
+
+  const lines = [];
+  const caption = cellText($table.children("caption"));
+  if (caption) {
+    lines.push(/[.!?:]$/.test(caption) ? caption : `${caption}:`);
+  }
+
+  for (const row of rows) {
+    if (row === headerRow || $(row).parent().is("thead")) continue;
+
+    const seen = new Set();
+    const values = [];
+    expandColumns(rowCells(row)).forEach((cell, column) => {
+      // A spanning cell is read once, with the label of its first column
+      if (seen.has(cell)) return;
+      seen.add(cell);
+
+      const value = cellText(cell);
+      if (!value) return;
+
+      const header = headers[column];
+      values.push(header && header !== value ? `${header}: ${value}` : value);
+    });
+
+    if (values.length > 0) {
+      lines.push(`${values.join(", ")}.`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// Read a code block line by line
+function codeToText($pre) {
+  return $pre
+    .text()
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Read the items of a list, each with its nested lists, as text. Items of
+// ordered lists are numbered, nested ones with the number of their parent
+// ("2.1."), items of unordered lists get a bullet. Sub-items are indented by
+// two spaces per level. Code blocks, tables and figure captions in items
+// follow the strategies in options, see listItemContent.
+function listItems($, $list, options, depth = 0, parentNumber = "") {
+  const ordered = $list[0].tagName.toLowerCase() === "ol";
+  const start = parseInt($list.attr("start"));
+  const firstNumber = ordered && !isNaN(start) ? start : 1;
+  const items = [];
+
+  $list.children("li").each((index, li) => {
+    const number = ordered
+      ? `${parentNumber}${firstNumber + index}.`
+      : parentNumber;
+    const { text, sublists } = listItemContent($, li, options);
+    const lines = [];
+
+    if (text) {
+      lines.push(`${"  ".repeat(depth)}${ordered ? number : "•"} ${text}`);
+    }
+    for (const sublist of sublists) {
+      lines.push(...listItems($, $(sublist), options, depth + 1, number));
+    }
+
+    if (lines.length > 0) {
+      items.push(lines.join("\n"));
+    }
+  });
+
+  return items;
+}
+
+// The text of a list item without its nested lists. Paragraphs and other
+// blocks in the item are read as separate sentences, as are the lines of
+// code blocks, table rows and figure captions, which are read (or dropped)
+// with the same strategies as outside of lists.
+function listItemContent($, li, { tables, code, figures }) {
+  const sentences = [];
+  const sublists = [];
+  let current = "";
+
+  const endSentence = () => {
+    const text = current.replace(/\s+/g, " ").trim();
+    if (text) {
+      sentences.push(text);
+    }
+    current = "";
+  };
+
+  const collect = (node) => {
+    if (node.nodeType === 3) {
+      current += node.data;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tagName = node.tagName.toLowerCase();
+    if (tagName === "ol" || tagName === "ul") {
+      endSentence();
+      sublists.push(node);
+    } else if (
+      tagName === "pre" ||
+      tagName === "table" ||
+      tagName === "figcaption"
+    ) {
+      endSentence();
+      let text = "";
+      if (tagName === "pre") {
+        if (code === "notice") {
+          text = CODE_NOTICE;
+        } else if (code === "read") {
+          text = codeToText($(node));
+        }
+      } else if (tagName === "table") {
+        text = tables === "rows" ? tableToText($, $(node)) : "";
+      } else if (figures === "caption") {
+        text = $(node).text();
+      }
+      // Each line becomes a sentence, list items are read on one line
+      for (const line of text.split("\n")) {
+        current = line;
+        endSentence();
+      }
+    } else if (LIST_ITEM_BLOCK_TAGS.has(tagName)) {
+      endSentence();
+      $(node)
+        .contents()
+        .each((_, child) => collect(child));
+      endSentence();
+    } else {
+      if (tagName === "br") {
+        current += " ";
+      }
+      $(node)
+        .contents()
+        .each((_, child) => collect(child));
+    }
+  };
+
+  $(li)
+    .contents()
+    .each((_, child) => collect(child));
+  endSentence();
+
+  const text = sentences
+    .map((sentence, index) =>
+      index < sentences.length - 1 && !/[.!?:;…]$/.test(sentence)
+        ? `${sentence}.`
+        : sentence,
+    )
+    .join(" ");
+
+  return { text, sublists };
+}
@@ -1,4 +1,4 @@
-import { htmlToText } from "./htmlToText.js";
+import { CODE_NOTICE, htmlToText } from "./htmlToText.js";
 
 describe("htmlToText", () => {
   test("should handle simple nested structure without duplication", () => {
@@ -190,7 +190,19 @@ describe("htmlToText", () => {
         type: "p",
       },
       {
-        text: "More article text More section text More outer text\n• First item\n• Second item\n1. Numbered first\n2. Numbered second\nFinal text",
+        text: "More article text More section text More outer text",
+        type: "other",
+      },
+      {
+        text: "• First item\n• Second item",
+        type: "list",
+      },
+      {
+        text: "1. Numbered first\n2. Numbered second",
+        type: "list",
+      },
+      {
+        text: "Final text",
         type: "other",
       },
     ]);
@@ -320,7 +332,15 @@ describe("htmlToText", () => {
 
     expect(result).toEqual([
       {
-        text: "Introduction text\n1. First item\n2. Second item\n3. Third item\nConclusion text",
+        text: "Introduction text",
+        type: "other",
+      },
+      {
+        text: "1. First item\n2. Second item\n3. Third item",
+        type: "list",
+      },
+      {
+        text: "Conclusion text",
         type: "other",
       },
     ]);
@@ -343,7 +363,15 @@ describe("htmlToText", () => {
 
     expect(result).toEqual([
       {
-        text: "Introduction text\n• First item\n• Second item\n• Third item\nConclusion text",
+        text: "Introduction text",
+        type: "other",
+      },
+      {
+        text: "• First item\n• Second item\n• Third item",
+        type: "list",
+      },
+      {
+        text: "Conclusion text",
         type: "other",
       },
     ]);
@@ -390,7 +418,7 @@ describe("htmlToText", () => {
       },
       {
         text: "• Apples\n• Bread",
-        type: "other",
+        type: "list",
       },
       {
         text: "Tasks",
@@ -398,7 +426,11 @@ describe("htmlToText", () => {
         level: 2,
       },
       {
-        text: "1. Buy groceries\n2. Clean house\nAll done!",
+        text: "1. Buy groceries\n2. Clean house",
+        type: "list",
+      },
+      {
+        text: "All done!",
         type: "other",
       },
     ]);
@@ -427,4 +459,260 @@ describe("htmlToText", () => {
       type: "other",
     });
   });
+
+  test("should emit blockquote text as a quote chunk", () => {
+    const html =
+      "<div><p>Before</p><blockquote>To be <em>or not</em> to be</blockquote><p>After</p></div>";
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "Before",
+        type: "p",
+      },
+      {
+        text: "To be or not to be",
+        type: "quote",
+      },
+      {
+        text: "After",
+        type: "p",
+      },
+    ]);
+  });
+
+  test("should emit one quote chunk per paragraph in a blockquote", () => {
+    const html =
+      "<blockquote><p>First quoted paragraph.</p><p>Second quoted paragraph.</p></blockquote><p>Body text</p>";
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "First quoted paragraph.",
+        type: "quote",
+      },
+      {
+        text: "Second quoted paragraph.",
+        type: "quote",
+      },
+      {
+        text: "Body text",
+        type: "p",
+      },
+    ]);
+  });
+
+  test("should apply the strategies to code and tables in blockquotes", () => {
+    const html =
+      "<blockquote><pre>x = 1</pre></blockquote><blockquote><table><tr><td>A</td><td>B</td></tr></table></blockquote>";
+
+    expect(htmlToText(html)).toEqual([
+      { text: CODE_NOTICE, type: "code" },
+      { text: "A, B.", type: "table" },
+    ]);
+    expect(
+      htmlToText(`${html}<p>End</p>`, { code: "skip", tables: "skip" }),
+    ).toEqual([{ text: "End", type: "p" }]);
+  });
+
+  test("should read table rows with their header labels", () => {
+    const html = `<p>Results</p><table>
+      <caption>Scores</caption>
+      <thead><tr><th>Name</th><th>Score</th></tr></thead>
+      <tbody>
+        <tr><td>Alice</td><td>30</td></tr>
+        <tr><td>Bob</td><td></td></tr>
+      </tbody>
+    </table>`;
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "Results",
+        type: "p",
+      },
+      {
+        text: "Scores:\nName: Alice, Score: 30.\nName: Bob.",
+        type: "table",
+      },
+    ]);
+  });
+
+  test("should use a first row of th cells as headers and follow colspan", () => {
+    const html = `<table>
+      <tr><th>Day</th><th colspan="2">Weather</th></tr>
+      <tr><td>Monday</td><td>Sunny</td><td>20°C</td></tr>
+      <tr><td colspan="3">Closed on holidays</td></tr>
+    </table>`;
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "Day: Monday, Weather: Sunny, Weather: 20°C.\nDay: Closed on holidays.",
+        type: "table",
+      },
+    ]);
+  });
+
+  test("should list the cells of tables without headers", () => {
+    const html =
+      "<table><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></table>";
+
+    expect(htmlToText(html)).toEqual([{ text: "a, b.\nc, d.", type: "table" }]);
+    expect(htmlToText(`<p>Text</p>${html}`, { tables: "skip" })).toEqual([
+      { text: "Text", type: "p" },
+    ]);
+  });
+
+  test("should replace code blocks with a notice by default", () => {
+    const html =
+      "<p>Run this:</p><pre><code>npm install\nnpm start</code></pre><p>Done.</p>";
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "Run this:",
+        type: "p",
+      },
+      {
+        text: CODE_NOTICE,
+        type: "code",
+      },
+      {
+        text: "Done.",
+        type: "p",
+      },
+    ]);
+  });
+
+  test("should read or skip code blocks when configured", () => {
+    const html = "<pre><code>npm install\n\n   npm   start\n</code></pre>";
+
+    expect(htmlToText(html, { code: "read" })).toEqual([
+      {
+        text: "npm install\nnpm start",
+        type: "code",
+      },
+    ]);
+    expect(htmlToText(`<p>Text</p>${html}`, { code: "skip" })).toEqual([
+      { text: "Text", type: "p" },
+    ]);
+  });
+
+  test("should emit figure captions as their own chunk", () => {
+    const html =
+      "<figure><img src='a.png' alt='A chart'><figcaption>Figure 1: Sales by <em>year</em></figcaption></figure><p>Text</p>";
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "Figure 1: Sales by year",
+        type: "caption",
+      },
+      {
+        text: "Text",
+        type: "p",
+      },
+    ]);
+    expect(htmlToText(html, { figures: "skip" })).toEqual([
+      {
+        text: "Text",
+        type: "p",
+      },
+    ]);
+  });
+
+  test("should keep the hierarchy of nested lists", () => {
+    const html = `<ol>
+      <li>Prepare</li>
+      <li>Cook
+        <ol start="1">
+          <li>Boil water</li>
+          <li>Add pasta
+            <ul><li>Stir <em>often</em></li></ul>
+          </li>
+        </ol>
+      </li>
+    </ol>`;
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "1. Prepare\n2. Cook\n  2.1. Boil water\n  2.2. Add pasta\n    • Stir often",
+        type: "list",
+      },
+    ]);
+  });
+
+  test("should read paragraphs in list items as separate sentences", () => {
+    const html =
+      "<ul><li><p>First paragraph</p><p>Second paragraph</p></li><li>Short<br>item</li></ul>";
+    const result = htmlToText(html);
+
+    expect(result).toEqual([
+      {
+        text: "• First paragraph. Second paragraph\n• Short item",
+        type: "list",
+      },
+    ]);
+  });
+
+  test("should apply the code strategy to code blocks in list items", () => {
+    const html =
+      "<ol><li>Install:<pre>npm install foo\nnpm test</pre></li><li>Run it</li></ol>";
+
+    expect(htmlToText(html)).toEqual([
+      { text: `1. Install: ${CODE_NOTICE}\n2. Run it`, type: "list" },
+    ]);
+    expect(htmlToText(html, { code: "read" })).toEqual([
+      {
+        text: "1. Install: npm install foo. npm test\n2. Run it",
+        type: "list",
+      },
+    ]);
+    expect(htmlToText(html, { code: "skip" })).toEqual([
+      { text: "1. Install:\n2. Run it", type: "list" },
+    ]);
+  });
+
+  test("should apply the table and figure strategies in list items", () => {
+    const html = `<ul><li>Scores
+      <table><tr><th>Name</th><th>Score</th></tr><tr><td>Alice</td><td>30</td></tr></table>
+    </li><li>Chart<figure><img src="a.png"><figcaption>Sales by year</figcaption></figure></li></ul>`;
+
+    expect(htmlToText(html)).toEqual([
+      {
+        text: "• Scores. Name: Alice, Score: 30.\n• Chart. Sales by year",
+        type: "list",
+      },
+    ]);
+    expect(htmlToText(html, { tables: "skip", figures: "skip" })).toEqual([
+      { text: "• Scores\n• Chart", type: "list" },
+    ]);
+  });
+
+  test("should follow the start attribute of ordered lists", () => {
+    const html = '<ol start="4"><li>Fourth</li><li>Fifth</li></ol>';
+
+    expect(htmlToText(html)).toEqual([
+      { text: "4. Fourth\n5. Fifth", type: "list" },
+    ]);
+  });
+
+  test("should split long lists between top-level items", () => {
+    const html =
+      "<ul><li>Apples and pears</li><li>Bread<ul><li>White</li><li>Rye</li></ul></li><li>Milk</li></ul>";
+    const result = htmlToText(html, { listMaxChars: 35 });
+
+    expect(result).toEqual([
+      {
+        text: "• Apples and pears",
+        type: "list",
+      },
+      {
+        text: "• Bread\n  • White\n  • Rye\n• Milk",
+        type: "list",
+      },
+    ]);
+  });
 });
@@ -0,0 +1,70 @@
+// Frequent short words per language. Counting them is enough to tell the
+// languages of typical articles apart.
+const STOPWORDS = {
+  en: "the and of to in is that it for was on are with as this be at by have from or not but which you they we their has were been",
+  de: "der die und das ist nicht ein eine zu den mit sich auf für dem des im von auch es wird sind wir ich sie aber oder wie nach bei",
+  fr: "le la les et des est une un du que pour dans pas sur qui au avec il elle ce sont nous vous mais ou par plus cette aux été",
+  es: "el la los las y de que en es un una por con para no se del al como pero sus más este esta son fue ha muy también",
+  it: "il la di che e è un una per non con sono del della le gli si anche da come ma più nel alla questo questa stato",
+  pt: "o a os as e de que em um uma para com não se do da no na por mais como mas foi são ao dos das também",
+  nl: "de het een en van is dat op te in niet zijn met voor er maar ook als bij door aan om dan wordt werd deze",
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [
+    language,
+    new Set(words.split(" ")),
+  ]),
+);
+
+// Fewer stopword hits than this are too little evidence
+const MIN_HITS = 5;
+
+/**
+ * Reduce a language tag such as "de-CH" or "EN_us" to its primary subtag.
+ * @param {string} tag - A BCP 47 language tag
+ * @returns {string|null} The lowercase language code, or null if invalid
+ */
+export function normalizeLanguageTag(tag) {
+  if (typeof tag !== "string") {
+    return null;
+  }
+  const primary = tag.trim().split(/[-_]/)[0].toLowerCase();
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+/**
+ * Guess the language of a text by counting frequent words of each supported
+ * language.
+ * @param {string} text - The text to examine
+ * @returns {{language: string, confidence: number}|null} The best match and
+ *   its share of all stopword hits, or null if the text gives too little
+ *   evidence
+ */
+export function detectLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(
+    Object.keys(STOPWORD_SETS).map((language) => [language, 0]),
+  );
+
+  for (const word of words) {
+    for (const [language, stopwords] of Object.entries(STOPWORD_SETS)) {
+      if (stopwords.has(word)) {
+        scores[language]++;
+      }
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [language, hits] = ranked[0];
+  const totalHits = ranked.reduce((sum, [, count]) => sum + count, 0);
+
+  if (hits < MIN_HITS) {
+    return null;
+  }
+
+  return {
+    language,
+    confidence: Math.round((hits / totalHits) * 100) / 100,
+  };
+}
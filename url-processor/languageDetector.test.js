@@ -0,0 +1,54 @@
+import { detectLanguage, normalizeLanguageTag } from "./languageDetector.js";
+
+describe("normalizeLanguageTag", () => {
+  test("should reduce tags to the primary language", () => {
+    expect(normalizeLanguageTag("de-CH")).toBe("de");
+    expect(normalizeLanguageTag("EN_us")).toBe("en");
+    expect(normalizeLanguageTag(" fr ")).toBe("fr");
+  });
+
+  test("should reject invalid tags", () => {
+    expect(normalizeLanguageTag("")).toBeNull();
+    expect(normalizeLanguageTag("english")).toBeNull();
+    expect(normalizeLanguageTag(undefined)).toBeNull();
+  });
+});
+
+describe("detectLanguage", () => {
+  test("should detect English", () => {
+    const text =
+      "The committee published its report on Monday, and the findings were clear: the project has been a success for the city and its residents.";
+    expect(detectLanguage(text).language).toBe("en");
+  });
+
+  test("should detect German", () => {
+    const text =
+      "Die Stadt hat am Montag den Bericht veröffentlicht, und das Ergebnis ist eindeutig: Das Projekt ist ein Erfolg für die Stadt und ihre Bewohner.";
+    expect(detectLanguage(text).language).toBe("de");
+  });
+
+  test("should detect French", () => {
+    const text =
+      "La ville a publié le rapport lundi, et le résultat est clair : le projet est un succès pour la ville et pour les habitants qui sont dans le quartier.";
+    expect(detectLanguage(text).language).toBe("fr");
+  });
+
+  test("should detect Spanish", () => {
+    const text =
+      "La ciudad publicó el informe el lunes y el resultado es claro: el proyecto es un éxito para la ciudad y para los vecinos del barrio.";
+    expect(detectLanguage(text).language).toBe("es");
+  });
+
+  test("should report the share of hits as confidence", () => {
+    const result = detectLanguage(
+      "The cat and the dog are in the house with the bird of the neighbour.",
+    );
+    expect(result.confidence).toBeGreaterThan(0.5);
+    expect(result.confidence).toBeLessThanOrEqual(1);
+  });
+
+  test("should give up on too little text", () => {
+    expect(detectLanguage("Hello world")).toBeNull();
+    expect(detectLanguage("")).toBeNull();
+  });
+});
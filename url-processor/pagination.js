@@ -0,0 +1,191 @@
+import * as cheerio from "cheerio";
+import { normalizeHostname } from "./domainRules.js";
+
+// Containers of page number links
+const PAGINATION_SELECTOR = [
+  ".pagination",
+  ".pager",
+  ".page-numbers",
+  ".paging",
+  ".page-links",
+  "[class*='paginat']",
+  "nav[aria-label*='agination']",
+].join(", ");
+
+// Link text or labels of "next page" links inside a pagination container
+const NEXT_LABEL_PATTERN =
+  /^(next|next page|weiter|suivant|siguiente|›|»|→|>)$/i;
+
+// Query parameters that hold the page number
+const PAGE_PARAMS = ["page", "p", "pg"];
+
+/**
+ * Key of a page URL for loop detection: the URL without its fragment.
+ * @param {string} url - A page URL
+ * @returns {string} The key
+ */
+export function pageKey(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  return parsed.href;
+}
+
+/**
+ * Find the URL of the next page of a multi-page article. Tried in order:
+ * `<link rel="next">`, `rel="next"` anchors in a pagination container or
+ * below the path of the page, "next" links in a pagination container, and
+ * links to the same URL with the page number increased (?page=2, /page/2,
+ * and /2 in a pagination container). Other `rel="next"` anchors are skipped,
+ * since blogs also mark the link to the next post with it.
+ * @param {string} html - HTML of the current page
+ * @param {string} pageUrl - URL of the current page
+ * @param {Set<string>} [visited] - pageKey of every page fetched so far
+ * @returns {string|null} The absolute URL of the next page, or null if there
+ *   is none, it was visited already or it is on another site
+ */
+export function findNextPageUrl(html, pageUrl, visited = new Set()) {
+  if (typeof html !== "string") {
+    return null;
+  }
+
+  const $ = cheerio.load(html);
+  const candidates = [
+    ...$("link[rel~='next']")
+      .toArray()
+      .map((link) => $(link).attr("href")),
+    ...$("a[rel~='next']")
+      .filter((_, anchor) => {
+        const url = resolveUrl($(anchor).attr("href"), pageUrl);
+        return url && (isInPagination($, anchor) || isBelowPath(url, pageUrl));
+      })
+      .toArray()
+      .map((anchor) => $(anchor).attr("href")),
+    ...$(PAGINATION_SELECTOR)
+      .find("a")
+      .filter((_, anchor) => isNextLink($, anchor))
+      .toArray()
+      .map((anchor) => $(anchor).attr("href")),
+    ...findIncrementedPageLinks($, pageUrl),
+  ];
+
+  for (const href of candidates) {
+    const nextUrl = resolveUrl(href, pageUrl);
+    if (
+      nextUrl &&
+      isSameSite(nextUrl, pageUrl) &&
+      pageKey(nextUrl) !== pageKey(pageUrl) &&
+      !visited.has(pageKey(nextUrl))
+    ) {
+      return nextUrl;
+    }
+  }
+  return null;
+}
+
+function isNextLink($, anchor) {
+  const $anchor = $(anchor);
+  const label = ($anchor.attr("aria-label") || $anchor.text())
+    .replace(/\s+/g, " ")
+    .trim();
+  return (
+    NEXT_LABEL_PATTERN.test(label) ||
+    /(^|[\s_-])next([\s_-]|$)/i.test($anchor.attr("class") || "")
+  );
+}
+
+function isInPagination($, anchor) {
+  return $(anchor).closest(PAGINATION_SELECTOR).length > 0;
+}
+
+// Whether a URL has the path of the current page or one below it
+function isBelowPath(url, pageUrl) {
+  const path = new URL(pageUrl).pathname.replace(/\/$/, "");
+  const otherPath = new URL(url).pathname.replace(/\/$/, "");
+  return otherPath === path || otherPath.startsWith(`${path}/`);
+}
+
+// Links to the current URL with the page number increased by one
+function findIncrementedPageLinks($, pageUrl) {
+  const toSet = (urls) => new Set(urls.map((url) => comparableUrl(url)));
+  const expected = toSet(incrementedPageUrls(pageUrl, false));
+  const expectedInPagination = toSet(incrementedPageUrls(pageUrl, true));
+
+  return $("a[href]")
+    .filter((_, anchor) => {
+      const url = resolveUrl($(anchor).attr("href"), pageUrl);
+      const urls = isInPagination($, anchor) ? expectedInPagination : expected;
+      return url && urls.has(comparableUrl(url));
+    })
+    .toArray()
+    .map((anchor) => $(anchor).attr("href"));
+}
+
+// A bare number after the path (/story/2) is only a page number in a
+// pagination container, elsewhere it may be any sub-page like /about/2
+function incrementedPageUrls(pageUrl, inPagination) {
+  const url = new URL(pageUrl);
+  const urls = [];
+
+  const param = PAGE_PARAMS.find((name) => url.searchParams.has(name));
+  if (param) {
+    const page = parseInt(url.searchParams.get(param));
+    if (!isNaN(page)) {
+      const next = new URL(url);
+      next.searchParams.set(param, page + 1);
+      urls.push(next.href);
+    }
+    return urls;
+  }
+
+  const path = url.pathname.replace(/\/$/, "");
+  const pathMatch = path.match(/^(.*\/page\/)(\d+)$/);
+  if (pathMatch) {
+    const next = new URL(url);
+    next.pathname = `${pathMatch[1]}${parseInt(pathMatch[2]) + 1}`;
+    urls.push(next.href);
+    return urls;
+  }
+
+  // The first page usually has no number
+  for (const suffix of inPagination ? ["/page/2", "/2"] : ["/page/2"]) {
+    const next = new URL(url);
+    next.pathname = `${path}${suffix}`;
+    urls.push(next.href);
+  }
+  const withParam = new URL(url);
+  withParam.searchParams.set("page", 2);
+  urls.push(withParam.href);
+
+  return urls;
+}
+
+// URL for comparing links: no fragment, no trailing slash, sorted query
+function comparableUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  parsed.searchParams.sort();
+  parsed.pathname = parsed.pathname.replace(/\/$/, "") || "/";
+  return parsed.href;
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href || href.startsWith("#")) {
+    return null;
+  }
+  try {
+    const url = new URL(href, baseUrl);
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.href
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// Pages of the same site, allowing for "www."
+function isSameSite(url, otherUrl) {
+  return (
+    normalizeHostname(new URL(url).hostname) ===
+    normalizeHostname(new URL(otherUrl).hostname)
+  );
+}
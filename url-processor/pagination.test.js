@@ -0,0 +1,106 @@
+import { findNextPageUrl, pageKey } from "./pagination.js";
+
+const PAGE_URL = "https://news.example.com/story";
+
+describe("findNextPageUrl", () => {
+  test("should follow rel=next links", () => {
+    const html =
+      '<html><head><link rel="next" href="/story?page=2"></head><body></body></html>';
+
+    expect(findNextPageUrl(html, PAGE_URL)).toBe(
+      "https://news.example.com/story?page=2",
+    );
+  });
+
+  test("should find next links in a pagination container", () => {
+    const html = `<article>Text</article>
+      <a href="/other-story">Next</a>
+      <div class="pagination">
+        <a href="/story/1">1</a>
+        <a href="/story/2" aria-label="Next page">›</a>
+      </div>`;
+
+    expect(findNextPageUrl(html, PAGE_URL)).toBe(
+      "https://news.example.com/story/2",
+    );
+  });
+
+  test("should find links with the page number increased", () => {
+    const html = `<a href="/story/page/3">3</a><a href="/story/page/2/">2</a>`;
+
+    expect(findNextPageUrl(html, PAGE_URL)).toBe(
+      "https://news.example.com/story/page/2/",
+    );
+    expect(
+      findNextPageUrl(
+        '<a href="?p=4">4</a><a href="?p=3">3</a>',
+        "https://news.example.com/story?p=2",
+      ),
+    ).toBe("https://news.example.com/story?p=3");
+  });
+
+  test("should only count bare page numbers in a pagination container", () => {
+    expect(
+      findNextPageUrl(
+        '<a href="/about/2">Team page 2</a>',
+        "https://news.example.com/about",
+      ),
+    ).toBeNull();
+    expect(
+      findNextPageUrl(
+        '<div class="page-links"><span>1</span><a href="/story/2/">2</a></div>',
+        PAGE_URL,
+      ),
+    ).toBe("https://news.example.com/story/2/");
+  });
+
+  test("should not follow links to the next post", () => {
+    const html = `<article>Text</article>
+      <nav class="navigation post-navigation" aria-label="Posts">
+        <div class="nav-links">
+          <div class="nav-previous"><a href="/2024/01/older-story/" rel="prev">Older story</a></div>
+          <div class="nav-next"><a href="/2024/03/another-story/" rel="next">Another story</a></div>
+        </div>
+      </nav>`;
+
+    expect(
+      findNextPageUrl(html, "https://blog.example.com/2024/02/my-post/"),
+    ).toBeNull();
+  });
+
+  test("should not leave the site", () => {
+    const html = '<a rel="next" href="https://ads.example.net/story?page=2">';
+
+    expect(findNextPageUrl(html, PAGE_URL)).toBeNull();
+    expect(
+      findNextPageUrl(
+        '<a rel="next" href="https://www.news.example.com/story/2">',
+        "https://news.example.com/story",
+      ),
+    ).toBe("https://www.news.example.com/story/2");
+  });
+
+  test("should not go back to visited pages", () => {
+    const html = '<link rel="next" href="/story#top">';
+    expect(findNextPageUrl(html, PAGE_URL)).toBeNull();
+
+    const visited = new Set([pageKey("https://news.example.com/story/2")]);
+    expect(
+      findNextPageUrl(
+        '<a rel="next" href="/story/2#comments">',
+        PAGE_URL,
+        visited,
+      ),
+    ).toBeNull();
+  });
+
+  test("should find nothing on single pages", () => {
+    expect(
+      findNextPageUrl(
+        '<a href="/about">About</a><a href="mailto:x@example.com">Mail</a>',
+        PAGE_URL,
+      ),
+    ).toBeNull();
+    expect(findNextPageUrl({ json: true }, PAGE_URL)).toBeNull();
+  });
+});
@@ -3,30 +3,232 @@ import fs from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 import axios from "axios";
-import { JSDOM } from "jsdom";
-import { Readability } from "@mozilla/readability";
 import * as cheerio from "cheerio";
-import OpenAI from "openai";
 import dotenv from "dotenv";
 import { exec } from "child_process";
 import { promisify } from "util";
-import { htmlToText, chunksToHtml } from "./htmlToText.js";
+import { setTimeout as delay } from "timers/promises";
+import {
+  htmlToText,
+  chunksToHtml,
+  HTML_TO_TEXT_STRATEGIES,
+  DEFAULT_LIST_MAX_CHARS,
+} from "./htmlToText.js";
+import { extractContent, mergeArticles } from "./contentExtractor.js";
+import { findNextPageUrl, pageKey } from "./pagination.js";
+import { decodeBuffer } from "./charset.js";
+import { findCanonicalUrl, normalizeUrl } from "./urlNormalizer.js";
+import {
+  DEFAULT_FETCH_MAX_BYTES,
+  DEFAULT_FETCH_MAX_REDIRECTS,
+  checkFetchUrl,
+  describeFetchError,
+  getFetchGuardOptions,
+  parseFetchAllowList,
+} from "./fetchGuard.js";
+import {
+  DEFAULT_PDF_TEXT_COMMAND,
+  detectDocumentType,
+  extractPdfText,
+  markdownToChunks,
+  pdfTextToChunks,
+  textToChunks,
+} from "./documentConverters.js";
+import {
+  applyDomainRule,
+  cleanDomainRule,
+  findDomainRule,
+  getDomainRuleHeaders,
+  normalizeHostname,
+  validateDomainRule,
+} from "./domainRules.js";
+import { splitText } from "./textSplitter.js";
+import { normalizeText } from "./textNormalizer.js";
+import { detectLanguage, normalizeLanguageTag } from "./languageDetector.js";
+import { createTtsProvider } from "./ttsProviders.js";
+import { escapeXml } from "./escaping.js";
 
 dotenv.config();
 
 const TTS_TIMEOUT = 15 * 60 * 1000; // 15 minutes timeout
+// Longer chunks are split into several TTS requests
+const TTS_MAX_CHARS = parseInt(process.env.TTS_MAX_CHARS) || 4000;
+// Maximum number of chunks of one entry synthesized at the same time
+const TTS_CONCURRENCY = parseInt(process.env.TTS_CONCURRENCY) || 2;
 
 const execAsync = promisify(exec);
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = process.env.DATA_DIR || "/kokoro/data";
 const URLS_FILE = path.join(DATA_DIR, "urls.json");
+const JOBS_FILE = path.join(DATA_DIR, "jobs.json");
+const BATCHES_FILE = path.join(DATA_DIR, "batches.json");
+// Chunk audio shared by all entries and the entries using each file
+const CHUNK_CACHE_DIR = path.join(DATA_DIR, "chunk-cache");
+const CHUNK_REFS_FILE = path.join(DATA_DIR, "chunk-refs.json");
+// User pronunciation lexicon, applied before the built-in normalization rules
+const LEXICON_FILE = path.join(DATA_DIR, "lexicon.json");
+// Extraction and fetch rules per site, see domainRules.js
+const DOMAIN_RULES_FILE = path.join(DATA_DIR, "domain-rules.json");
+// Number of finished batches kept for GET /api/jobs/:id
+const MAX_FINISHED_BATCHES = 20;
+// Pipeline step names, in order (step 1 is "info")
+const PIPELINE_STEPS = ["info", "fetch", "readability", "text", "tts"];
+// Files written by each step. Reprocessing from a step removes its own
+// artifacts and those of all later steps.
+const STEP_ARTIFACTS = {
+  fetch: ["html.json"],
+  readability: ["content.json"],
+  text: ["text.json"],
+  // chunks/ only exists for entries generated before the shared chunk cache
+  tts: ["chunks", "text.mp3"],
+};
+// Maximum number of pages fetched for an article split across pages
+const FETCH_MAX_PAGES = parseInt(process.env.FETCH_MAX_PAGES) || 5;
+// Limits of outgoing fetches, see fetchGuard.js. Private and local
+// addresses are refused unless FETCH_ALLOWED_HOSTS allows them.
+const FETCH_LIMITS = {
+  allowList: parseFetchAllowList(process.env.FETCH_ALLOWED_HOSTS),
+  maxBytes: parseInt(process.env.FETCH_MAX_BYTES) || DEFAULT_FETCH_MAX_BYTES,
+  // 0 is valid and disables redirects
+  maxRedirects: /^\d+$/.test(process.env.FETCH_MAX_REDIRECTS?.trim() || "")
+    ? parseInt(process.env.FETCH_MAX_REDIRECTS)
+    : DEFAULT_FETCH_MAX_REDIRECTS,
+};
+// Command that prints the text of the PDF file {input}
+const PDF_TEXT_COMMAND =
+  process.env.PDF_TEXT_COMMAND || DEFAULT_PDF_TEXT_COMMAND;
+// Interval for SSE keep-alive comments
+const SSE_HEARTBEAT_INTERVAL = 25 * 1000;
+// Maximum number of entries that run through the pipeline at the same time
+const PROCESSING_CONCURRENCY =
+  parseInt(process.env.PROCESSING_CONCURRENCY) || 2;
 const KOKORO_API_URL =
   process.env.KOKORO_API_URL || "http://localhost:5173/api/v1";
 
 // Clean up the API URL - remove trailing slash if present
 const cleanKokoroUrl = KOKORO_API_URL.replace(/\/$/, "");
 
+// Voice, model and speech speed used when an entry does not choose its own
+const TTS_DEFAULTS = {
+  voice: process.env.TTS_DEFAULT_VOICE || "af_heart",
+  model: process.env.TTS_DEFAULT_MODEL || "model_q8f16",
+  speed: parseFloat(process.env.TTS_DEFAULT_SPEED) || 1.0,
+};
+
+// Chunk types emitted by htmlToText
+const CHUNK_TYPES = [
+  "h",
+  "p",
+  "quote",
+  "list",
+  "table",
+  "code",
+  "caption",
+  "other",
+];
+
+// How htmlToText reads tables, code blocks and figures, see
+// HTML_TO_TEXT_STRATEGIES
+const HTML_TO_TEXT_OPTIONS = {
+  tables: parseStrategy("HTML_TABLE_STRATEGY", "tables"),
+  code: parseStrategy("HTML_CODE_STRATEGY", "code"),
+  figures: parseStrategy("HTML_FIGURE_STRATEGY", "figures"),
+  listMaxChars:
+    parseInt(process.env.HTML_LIST_MAX_CHARS) || DEFAULT_LIST_MAX_CHARS,
+};
+
+// Voices per chunk type used when an entry does not map the type itself,
+// from TTS_VOICE_MAP="h=am_michael,quote=bf_emma". Unmapped types are read
+// in the entry's voice.
+const TTS_VOICE_MAP = parseVoicePairs(
+  process.env.TTS_VOICE_MAP,
+  "TTS_VOICE_MAP",
+  (type) => CHUNK_TYPES.includes(type),
+);
+
+// Language of entries whose language cannot be determined. Entries in this
+// language are read with the default voice and TTS_VOICE_MAP.
+const TTS_DEFAULT_LANGUAGE =
+  normalizeLanguageTag(process.env.TTS_DEFAULT_LANGUAGE) || "en";
+
+// Voices for entries in other languages, extended or overridden by
+// TTS_LANGUAGE_VOICES="de=my_german_voice,fr=ff_siwis"
+const LANGUAGE_VOICES = {
+  es: "ef_dora",
+  fr: "ff_siwis",
+  hi: "hf_alpha",
+  it: "if_sara",
+  ja: "jf_alpha",
+  pt: "pf_dora",
+  zh: "zf_xiaobei",
+  ...parseVoicePairs(
+    process.env.TTS_LANGUAGE_VOICES,
+    "TTS_LANGUAGE_VOICES",
+    (language) => normalizeLanguageTag(language) === language,
+  ),
+};
+
+// Entry fields that change the generated audio
+const TTS_SETTING_FIELDS = ["voice", "model", "speed", "voiceMap"];
+
+// Speech speed range accepted by the OpenAI-compatible speech endpoint
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4.0;
+
+// Model variants offered by the Kokoro backend
+const KOKORO_MODELS = [
+  "model_q8f16",
+  "model_q4f16",
+  "model_q4",
+  "model_quantized",
+  "model_uint8",
+  "model_uint8f16",
+  "model_fp16",
+  "model",
+];
+
+// Voices listed when the backend does not report its own
+const FALLBACK_VOICES = [
+  "af_heart",
+  "af_alloy",
+  "af_aoede",
+  "af_bella",
+  "af_jessica",
+  "af_kore",
+  "af_nicole",
+  "af_nova",
+  "af_river",
+  "af_sarah",
+  "af_sky",
+  "am_adam",
+  "am_echo",
+  "am_eric",
+  "am_fenrir",
+  "am_liam",
+  "am_michael",
+  "am_onyx",
+  "am_puck",
+  "bf_alice",
+  "bf_emma",
+  "bf_isabella",
+  "bf_lily",
+  "bm_daniel",
+  "bm_fable",
+  "bm_george",
+  "bm_lewis",
+  "ef_dora",
+  "ff_siwis",
+  "hf_alpha",
+  "if_sara",
+  "jf_alpha",
+  "pf_dora",
+  "zf_xiaobei",
+];
+
+// How long the voice list fetched from the backend is reused
+const VOICES_CACHE_TTL = 10 * 60 * 1000;
+
 // Audio processing configuration
 // paragraphSilence: default gap between paragraphs
 // titleSilenceBefore/After: additional silence when transitioning
@@ -37,30 +239,28 @@ const AUDIO_CONFIG = {
   titleSilenceAfter: parseFloat(process.env.AUDIO_TITLE_SILENCE_AFTER) || 0.5,
 };
 
-// Initialize OpenAI client for Kokoro TTS
-const openai = new OpenAI({
+// TTS backend that generates the chunk audio, selected by TTS_PROVIDER
+const ttsProvider = createTtsProvider(process.env.TTS_PROVIDER || "kokoro", {
   baseURL: cleanKokoroUrl,
   apiKey: process.env.KOKORO_API_KEY || "no-key",
-  timeout: TTS_TIMEOUT, // 5 minutes timeout
+  timeout: TTS_TIMEOUT,
+  command: process.env.TTS_CLI_COMMAND,
+  outputFormat: process.env.TTS_CLI_OUTPUT_FORMAT,
 });
 
-// Test the Kokoro API connection on startup
-async function testKokoroConnection() {
+// Test the TTS provider on startup
+async function testTtsProvider() {
   try {
-    console.log(`Testing connection to Kokoro API at: ${cleanKokoroUrl}`);
+    console.log(`Testing TTS provider: ${ttsProvider.description}`);
 
     // Try a small test request
-    const testMp3 = await openai.audio.speech.create({
-      model: "model_q8f16",
-      voice: "af_heart",
-      input: "Connection test",
-    });
+    await ttsProvider.synthesize("Connection test", TTS_DEFAULTS);
 
-    console.log("✓ Kokoro API connection successful");
+    console.log("✓ TTS provider connection successful");
   } catch (error) {
-    console.error("✗ Kokoro API connection failed:", error.message);
+    console.error("✗ TTS provider connection failed:", error.message);
     console.error(
-      "Please check that the Kokoro TTS service is running and accessible",
+      `Please check that the TTS provider "${ttsProvider.name}" is running and accessible`,
     );
 
     // Try to provide more diagnostic information
@@ -103,27 +303,28 @@ function basicAuth(req, res, next) {
 // Health check endpoint
 app.get("/api/health", async (req, res) => {
   try {
-    // Test Kokoro API
-    const testMp3 = await Promise.race([
-      openai.audio.speech.create({
-        model: "model_q8f16",
-        voice: "af_heart",
-        input: "Health check",
-      }),
+    // Test the TTS provider
+    await Promise.race([
+      ttsProvider.synthesize("Health check", TTS_DEFAULTS),
       new Promise((_, reject) =>
         setTimeout(() => reject(new Error("Health check timeout")), 10000),
       ),
     ]);
 
+    // kokoroApi is kept for existing consumers and mirrors tts
     res.json({
       status: "healthy",
       kokoroApi: "connected",
+      ttsProvider: ttsProvider.name,
+      tts: "connected",
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
     res.status(503).json({
       status: "unhealthy",
       kokoroApi: "disconnected",
+      ttsProvider: ttsProvider.name,
+      tts: "disconnected",
       error: error.message,
       timestamp: new Date().toISOString(),
     });
@@ -144,6 +345,11 @@ app.post("/api/urls", basicAuth, async (req, res) => {
     return res.status(400).json({ error: "URL is required" });
   }
 
+  const settingsError = validateTtsSettings(req.body);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
   // Trim URL
   const trimmedUrl = url.trim();
 
@@ -151,20 +357,29 @@ app.post("/api/urls", basicAuth, async (req, res) => {
     return res.status(400).json({ error: "Invalid URL format" });
   }
 
-  const urls = await loadUrls();
+  // Links to the same page differ in tracking parameters, fragments and
+  // trailing slashes, so entries are keyed by the normalized URL. The URL
+  // itself is stored and fetched as it was given, since servers do not
+  // always answer the normalized form (e.g. without its trailing slash).
+  const normalizedUrl = normalizeUrl(trimmedUrl);
+  if (!normalizedUrl) {
+    return res.status(400).json({ error: "Invalid URL format" });
+  }
 
-  // Check if URL already exists (handle both string and object formats)
-  const urlExists = urls.some((item) => {
-    const existingUrl = typeof item === "string" ? item : item.url;
-    return existingUrl === trimmedUrl;
-  });
+  const urls = await loadUrls();
 
-  if (urlExists) {
-    return res.status(400).json({ error: "URL already exists" });
+  // Check if URL already exists, also as the redirect target or canonical
+  // URL of an entry
+  const existingEntry = await findEntryByUrl(urls, [normalizedUrl]);
+  if (existingEntry) {
+    return res
+      .status(400)
+      .json({ error: "URL already exists", duplicateOf: existingEntry.id });
   }
 
   // Add URL with timestamp and optional comment
   const urlEntry = {
+    id: generateHash(normalizedUrl),
     url: trimmedUrl,
     addedAt: new Date().toISOString(),
     isHtml: false,
@@ -174,25 +389,42 @@ app.post("/api/urls", basicAuth, async (req, res) => {
     urlEntry.comment = comment.trim();
   }
 
+  applyTtsSettings(urlEntry, req.body);
+
   urls.push(urlEntry);
   await saveUrls(urls);
 
-  // Process URL in background
-  processUrl(trimmedUrl).then((result) => {
-    console.log("Processing result:", result);
-  });
+  // Queue URL for background processing
+  const job = await enqueueJob(trimmedUrl, "url");
 
-  res.json({ success: true, url: trimmedUrl, addedAt: urlEntry.addedAt });
+  res.json({
+    success: true,
+    id: urlEntry.id,
+    url: trimmedUrl,
+    addedAt: urlEntry.addedAt,
+    jobId: job.id,
+  });
 });
 
 // Add HTML content directly
 app.post("/api/html", basicAuth, async (req, res) => {
-  const { html, comment } = req.body;
+  const { html, comment, skipReadability } = req.body;
 
   if (!html || !html.trim()) {
     return res.status(400).json({ error: "HTML content is required" });
   }
 
+  if (skipReadability !== undefined && typeof skipReadability !== "boolean") {
+    return res
+      .status(400)
+      .json({ error: "Invalid skipReadability, expected a boolean" });
+  }
+
+  const settingsError = validateTtsSettings(req.body);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
   const trimmedHtml = html.trim();
 
   // Generate a unique identifier based on HTML content
@@ -213,6 +445,7 @@ app.post("/api/html", basicAuth, async (req, res) => {
 
   // Add HTML entry with timestamp and optional comment
   const urlEntry = {
+    id: generateHash(pseudoUrl),
     url: pseudoUrl,
     addedAt: new Date().toISOString(),
     isHtml: true,
@@ -222,44 +455,267 @@ app.post("/api/html", basicAuth, async (req, res) => {
     urlEntry.comment = comment.trim();
   }
 
+  // The pasted HTML is already clean and is read as it is
+  if (skipReadability) {
+    urlEntry.skipReadability = true;
+  }
+
+  applyTtsSettings(urlEntry, req.body);
+
+  // Store the pasted HTML first so a queued job survives a restart
+  try {
+    await storePastedHtml(
+      pseudoUrl,
+      path.join(DATA_DIR, generateHash(pseudoUrl)),
+      trimmedHtml,
+      resolveTtsSettings(urlEntry),
+    );
+  } catch (error) {
+    console.error(`Error storing HTML for ${pseudoUrl}:`, error);
+    return res.status(500).json({ error: "Failed to store HTML content" });
+  }
+
   urls.push(urlEntry);
   await saveUrls(urls);
 
-  // Process HTML directly in background
-  processHtml(pseudoUrl, trimmedHtml).then((result) => {
-    console.log("Processing result:", result);
+  // Queue HTML for background processing
+  const job = await enqueueJob(pseudoUrl, "html");
+
+  res.json({
+    success: true,
+    id: urlEntry.id,
+    url: pseudoUrl,
+    addedAt: urlEntry.addedAt,
+    jobId: job.id,
   });
+});
 
-  res.json({ success: true, url: pseudoUrl, addedAt: urlEntry.addedAt });
+// Get a single entry with its processing status
+app.get("/api/entries/:id", basicAuth, async (req, res) => {
+  const urls = await loadUrls();
+  const urlEntry = urls.find((item) => item.id === req.params.id);
+
+  if (!urlEntry) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+
+  res.json({ ...urlEntry, status: await getUrlStatus(urlEntry.id) });
 });
 
-// Delete URL
-app.delete("/api/urls/:index", basicAuth, async (req, res) => {
-  const index = parseInt(req.params.index);
+// Update the editable fields of an entry
+app.patch("/api/entries/:id", basicAuth, async (req, res) => {
   const urls = await loadUrls();
+  const urlEntry = urls.find((item) => item.id === req.params.id);
 
-  if (index < 0 || index >= urls.length) {
-    return res.status(404).json({ error: "URL not found" });
+  if (!urlEntry) {
+    return res.status(404).json({ error: "Entry not found" });
   }
 
-  const removedUrlEntry = urls.splice(index, 1)[0];
-  const removedUrl =
-    typeof removedUrlEntry === "string" ? removedUrlEntry : removedUrlEntry.url;
+  const updates = req.body || {};
+
+  const settingsError = validateTtsSettings(updates);
+  if (settingsError) {
+    return res.status(400).json({ error: settingsError });
+  }
+
+  if (
+    "comment" in updates &&
+    updates.comment !== null &&
+    typeof updates.comment !== "string"
+  ) {
+    return res.status(400).json({ error: "comment must be a string" });
+  }
+
+  // Audio is regenerated after a settings change, which must not race a
+  // run that already picked up the old settings
+  const isRunning = jobs.some(
+    (job) => job.url === urlEntry.url && job.status === "running",
+  );
+  const changesSettings = TTS_SETTING_FIELDS.some((field) => field in updates);
+  if (isRunning && changesSettings) {
+    return res.status(409).json({
+      error:
+        "Entry is currently being processed, cancel it before changing voice, model or speed",
+    });
+  }
+
+  if ("comment" in updates) {
+    const comment = updates.comment?.trim();
+    if (comment) {
+      urlEntry.comment = comment;
+    } else {
+      delete urlEntry.comment;
+    }
+  }
+
+  const settingsChanged = applyTtsSettings(urlEntry, updates);
+
   await saveUrls(urls);
 
-  // Optionally remove processed data
-  const hash = generateHash(removedUrl);
-  const urlDir = path.join(DATA_DIR, hash);
+  // Keep the settings recorded in info.json in sync
+  const urlDir = path.join(DATA_DIR, urlEntry.id);
+  await updateInfo(
+    urlDir,
+    resolveTtsSettings(urlEntry, await readEntryLanguage(urlDir)),
+  );
+
+  // Regenerate the audio with the new settings. Chunk files are keyed by
+  // their settings, so only chunks without matching audio are synthesized.
+  let jobId;
+  if (settingsChanged) {
+    const textExists = await fs
+      .access(path.join(urlDir, "text.json"))
+      .then(() => true)
+      .catch(() => false);
+
+    if (textExists) {
+      await fs.rm(path.join(urlDir, "text.mp3"), { force: true });
+      const job = await enqueueJob(urlEntry.url, getEntryType(urlEntry));
+      jobId = job.id;
+    }
+  }
+
+  res.json({ ...urlEntry, jobId });
+});
+
+// List the voices and models that entries can choose from
+app.get("/api/voices", basicAuth, async (req, res) => {
+  const { voices, source } = await listVoices();
+
+  res.json({
+    voices,
+    models: KOKORO_MODELS,
+    defaults: { ...TTS_DEFAULTS, voiceMap: TTS_VOICE_MAP },
+    defaultLanguage: TTS_DEFAULT_LANGUAGE,
+    languageVoices: LANGUAGE_VOICES,
+    source,
+  });
+});
+
+// Get the pronunciation lexicon
+app.get("/api/lexicon", basicAuth, async (req, res) => {
+  res.json(await loadLexicon());
+});
+
+// Add a lexicon entry, or replace the entries for the same word
+app.post("/api/lexicon", basicAuth, async (req, res) => {
+  const entryError = validateLexiconEntry(req.body);
+  if (entryError) {
+    return res.status(400).json({ error: entryError });
+  }
+
+  const entry = {
+    word: req.body.word.trim(),
+    spoken: req.body.spoken.trim(),
+  };
+  if (req.body.caseSensitive) {
+    entry.caseSensitive = true;
+  }
+
+  const lexicon = (await loadLexicon()).filter(
+    (existing) => !isSameLexiconWord(existing, entry),
+  );
+  lexicon.push(entry);
+  await saveLexicon(lexicon);
+
+  res.json(entry);
+});
+
+// Remove a lexicon entry
+app.delete("/api/lexicon/:word", basicAuth, async (req, res) => {
+  const lexicon = await loadLexicon();
+  const remaining = lexicon.filter((entry) => entry.word !== req.params.word);
+
+  if (remaining.length === lexicon.length) {
+    return res.status(404).json({ error: "Lexicon entry not found" });
+  }
+
+  await saveLexicon(remaining);
+  res.json({ success: true });
+});
+
+// Get the extraction rules of all sites
+app.get("/api/domain-rules", basicAuth, async (req, res) => {
+  res.json(await loadDomainRules());
+});
+
+// Add a site's rule, or replace the rule for the same hostname
+app.post("/api/domain-rules", basicAuth, async (req, res) => {
+  const ruleError = validateDomainRule(req.body);
+  if (ruleError) {
+    return res.status(400).json({ error: ruleError });
+  }
+
+  const rule = cleanDomainRule(req.body);
+  const rules = (await loadDomainRules()).filter(
+    (existing) => existing.hostname !== rule.hostname,
+  );
+  rules.push(rule);
+  await saveDomainRules(rules);
+
+  res.json(rule);
+});
+
+// Remove a site's rule
+app.delete("/api/domain-rules/:hostname", basicAuth, async (req, res) => {
+  const hostname = normalizeHostname(req.params.hostname);
+  const rules = await loadDomainRules();
+  const remaining = rules.filter((rule) => rule.hostname !== hostname);
+
+  if (remaining.length === rules.length) {
+    return res.status(404).json({ error: "Domain rule not found" });
+  }
+
+  await saveDomainRules(remaining);
+  res.json({ success: true });
+});
+
+// Delete an entry and all of its processed data
+app.delete("/api/entries/:id", basicAuth, async (req, res) => {
+  const urls = await loadUrls();
+  const index = urls.findIndex((item) => item.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+
+  const removedUrl = await removeEntry(urls, index);
+  res.json({ success: true, removedUrl });
+});
+
+// Delete generated audio but keep the entry
+app.delete("/api/entries/:id/audio", basicAuth, async (req, res) => {
+  const urls = await loadUrls();
+  const urlEntry = urls.find((item) => item.id === req.params.id);
+
+  if (!urlEntry) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+
   try {
-    await fs.rm(urlDir, { recursive: true, force: true });
+    await removeEntryAudio(urlEntry.id);
+    res.json({ success: true });
   } catch (error) {
-    console.error("Error removing processed data:", error);
+    console.error("Error deleting audio:", error);
+    res.status(500).json({ error: "Failed to delete audio" });
+  }
+});
+
+// Delete URL by list position (deprecated, use DELETE /api/entries/:id)
+app.delete("/api/urls/:index", basicAuth, async (req, res) => {
+  const index = parseInt(req.params.index);
+  const urls = await loadUrls();
+
+  if (index < 0 || index >= urls.length) {
+    return res.status(404).json({ error: "URL not found" });
   }
 
+  const removedUrl = await removeEntry(urls, index);
   res.json({ success: true, removedUrl });
 });
 
-// Delete generated audio but keep URL
+// Delete generated audio by list position (deprecated, use
+// DELETE /api/entries/:id/audio)
 app.delete("/api/urls/:index/audio", basicAuth, async (req, res) => {
   const index = parseInt(req.params.index);
   const urls = await loadUrls();
@@ -268,14 +724,8 @@ app.delete("/api/urls/:index/audio", basicAuth, async (req, res) => {
     return res.status(404).json({ error: "URL not found" });
   }
 
-  const urlEntry = urls[index];
-  const url = typeof urlEntry === "string" ? urlEntry : urlEntry.url;
-  const hash = generateHash(url);
-  const audioPath = path.join(DATA_DIR, hash, "text.mp3");
-
   try {
-    await fs.rm(audioPath, { force: true });
-    delete audioProgress[hash];
+    await removeEntryAudio(urls[index].id);
     res.json({ success: true });
   } catch (error) {
     console.error("Error deleting audio:", error);
@@ -283,7 +733,69 @@ app.delete("/api/urls/:index/audio", basicAuth, async (req, res) => {
   }
 });
 
-// Process all URLs
+// Reprocess an entry starting at a given pipeline step
+app.post("/api/entries/:id/reprocess", basicAuth, async (req, res) => {
+  const { id } = req.params;
+  const fromStep = req.body?.fromStep || "fetch";
+
+  if (!STEP_ARTIFACTS[fromStep]) {
+    return res.status(400).json({
+      error: `Invalid fromStep, expected one of: ${Object.keys(
+        STEP_ARTIFACTS,
+      ).join(", ")}`,
+    });
+  }
+
+  const urls = await loadUrls();
+  const urlEntry = urls.find((item) => item.id === id);
+
+  if (!urlEntry) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+
+  const { url } = urlEntry;
+  const type = getEntryType(urlEntry);
+
+  if (jobs.some((job) => job.url === url && job.status === "running")) {
+    return res
+      .status(409)
+      .json({ error: "Entry is currently being processed" });
+  }
+
+  // Pasted HTML cannot be fetched again, so start from Readability instead
+  const effectiveStep =
+    type === "html" && fromStep === "fetch" ? "readability" : fromStep;
+
+  try {
+    await clearArtifacts(path.join(DATA_DIR, id), effectiveStep);
+    delete audioProgress[id];
+  } catch (error) {
+    console.error(`Error clearing artifacts for ${url}:`, error);
+    return res.status(500).json({ error: "Failed to clear entry data" });
+  }
+
+  const job = await enqueueJob(url, type);
+
+  res.json({ success: true, url, fromStep: effectiveStep, jobId: job.id });
+});
+
+// Cancel a running audio generation. Chunk files generated so far stay in
+// the chunk cache, so the next run of the entry (reprocess from any step, or
+// process-all) only synthesizes the chunks that are still missing.
+app.post("/api/entries/:id/cancel", basicAuth, async (req, res) => {
+  const { id } = req.params;
+
+  if (!cancelAudioGeneration(id)) {
+    return res
+      .status(409)
+      .json({ error: "No audio generation in progress for this entry" });
+  }
+
+  res.json({ success: true });
+});
+
+// Process all URLs. Queues every entry as part of a batch and returns the
+// batch ID right away; progress is available via GET /api/jobs/:id.
 app.post("/api/process-all", basicAuth, async (req, res) => {
   const urls = await loadUrls();
 
@@ -291,15 +803,76 @@ app.post("/api/process-all", basicAuth, async (req, res) => {
     return res.json({ message: "No URLs to process" });
   }
 
-  // Process URLs sequentially to avoid overwhelming the system
-  const results = [];
-  for (const urlEntry of urls) {
-    const url = typeof urlEntry === "string" ? urlEntry : urlEntry.url;
-    const result = await processUrl(url);
-    results.push({ url, ...result });
+  const batch = await enqueueBatch(urls);
+
+  res.json({ success: true, jobId: batch.id, total: batch.entries.length });
+});
+
+// Get the processing queue (pending, running and failed jobs)
+app.get("/api/jobs", basicAuth, async (req, res) => {
+  res.json({
+    concurrency: PROCESSING_CONCURRENCY,
+    running: runningJobs,
+    jobs,
+  });
+});
+
+// Get a single job or batch. Batches report the result of every entry.
+app.get("/api/jobs/:id", basicAuth, async (req, res) => {
+  const { id } = req.params;
+
+  const batch = batches.find((item) => item.id === id);
+  if (batch) {
+    return res.json(summarizeBatch(batch));
+  }
+
+  const job = jobs.find((item) => item.id === id);
+  if (job) {
+    return res.json(job);
+  }
+
+  res.status(404).json({ error: "Job not found" });
+});
+
+// Cancel a batch. Entries that have not started yet are removed from the
+// queue; entries that are already running finish normally.
+app.post("/api/jobs/:id/cancel", basicAuth, async (req, res) => {
+  const { id } = req.params;
+  const batch = batches.find((item) => item.id === id);
+
+  if (!batch) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  if (batch.status !== "running") {
+    return res.status(400).json({ error: `Batch is already ${batch.status}` });
   }
 
-  res.json({ results });
+  await cancelBatch(batch);
+  res.json(summarizeBatch(batch));
+});
+
+// Server-Sent Events stream with pipeline progress for all entries
+app.get("/api/events", basicAuth, (req, res) => {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  // Tell the browser how long to wait before reconnecting
+  res.write("retry: 3000\n\n");
+
+  eventClients.add(res);
+
+  // Keep the connection open through proxies
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, SSE_HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+  });
 });
 
 // Get processed data for a URL
@@ -351,6 +924,7 @@ app.get("/api/processed/:hash", basicAuth, async (req, res) => {
         ? chunksToHtml(textData.chunks)
         : textData?.text || "",
       audioAvailable: audioExists,
+      failure: await readFailure(urlDir),
     });
   } catch (error) {
     res.status(404).json({ error: "Processed data not found" });
@@ -372,7 +946,7 @@ app.get("/api/progress/:hash", basicAuth, async (req, res) => {
     const progress = audioProgress[hash];
     const elapsed = Date.now() - progress.startTime;
     const avgTimePerChunk =
-      progress.currentChunk > 0 ? elapsed / progress.currentChunk : 0;
+      progress.completedChunks > 0 ? elapsed / progress.completedChunks : 0;
     const estimatedTotal = avgTimePerChunk * progress.totalChunks;
     const estimatedRemaining = Math.max(0, estimatedTotal - elapsed);
 
@@ -394,9 +968,7 @@ app.get("/api/status-all", basicAuth, async (req, res) => {
     const statuses = {};
 
     for (const urlEntry of urls) {
-      const url = typeof urlEntry === "string" ? urlEntry : urlEntry.url;
-      const hash = generateHash(url);
-      statuses[url] = await getUrlStatus(hash);
+      statuses[urlEntry.url] = await getUrlStatus(urlEntry.id);
     }
 
     res.json(statuses);
@@ -428,8 +1000,7 @@ app.get("/rss", basicAuth, async (req, res) => {
     const completedUrls = [];
 
     for (const urlEntry of urls) {
-      const url = typeof urlEntry === "string" ? urlEntry : urlEntry.url;
-      const hash = generateHash(url);
+      const { url, id: hash } = urlEntry;
       const status = await getUrlStatus(hash);
 
       if (status.status === "completed") {
@@ -457,6 +1028,7 @@ app.get("/rss", basicAuth, async (req, res) => {
             hash,
             title,
             processedAt: info.processedAt,
+            language: info.language,
             addedAt: typeof urlEntry === "object" ? urlEntry.addedAt : null,
             description: textData.chunks ? chunksToHtml(textData.chunks) : "",
           });
@@ -471,6 +1043,19 @@ app.get("/rss", basicAuth, async (req, res) => {
       (a, b) => new Date(b.processedAt) - new Date(a.processedAt),
     );
 
+    // RSS has one language per channel, so use the most common one; each
+    // item also carries its own as dc:language
+    const languageCounts = {};
+    for (const item of completedUrls) {
+      if (item.language) {
+        languageCounts[item.language] =
+          (languageCounts[item.language] || 0) + 1;
+      }
+    }
+    const channelLanguage =
+      Object.entries(languageCounts).sort((a, b) => b[1] - a[1])[0]?.[0] ||
+      TTS_DEFAULT_LANGUAGE;
+
     // Get the base URL for audio links
     const baseUrl = req.protocol + "://" + req.get("host");
     const coverImageUrl =
@@ -478,12 +1063,12 @@ app.get("/rss", basicAuth, async (req, res) => {
 
     // Generate RSS XML
     const rssXml = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
   <channel>
     <title>Private Podcast Stream of Stefan Huber</title>
     <description>Text-to-speech audio content generated from web articles using Kokoro TTS</description>
     <link>${baseUrl}</link>
-    <language>en-us</language>
+    <language>${channelLanguage}</language>
     <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
     <pubDate>${new Date().toUTCString()}</pubDate>
     <itunes:image href="${coverImageUrl}"/>
@@ -506,7 +1091,12 @@ ${completedUrls
       <description>${escapeXml(item.description)}</description>
       <link>${escapeXml(item.url)}</link>
       <guid isPermaLink="false">${item.hash}</guid>
-      <pubDate>${new Date(item.processedAt).toUTCString()}</pubDate>
+      <pubDate>${new Date(item.processedAt).toUTCString()}</pubDate>${
+        item.language
+          ? `
+      <dc:language>${item.language}</dc:language>`
+          : ""
+      }
       <enclosure url="${baseUrl}/api/audio/${item.hash}" type="audio/mpeg"/>
       <itunes:image href="${coverImageUrl}"/>
       <itunes:duration>00:00:00</itunes:duration>
@@ -525,16 +1115,6 @@ ${completedUrls
   }
 });
 
-// Helper function to escape XML content
-function escapeXml(unsafe) {
-  return unsafe
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
-
 // Serve protected static files with basic auth (AFTER API routes)
 app.use("/", basicAuth, express.static("public"));
 
@@ -542,6 +1122,7 @@ app.use("/", basicAuth, express.static("public"));
 async function ensureDataDir() {
   try {
     await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.mkdir(CHUNK_CACHE_DIR, { recursive: true });
     // Initialize URLs file if it doesn't exist
     try {
       await fs.access(URLS_FILE);
@@ -553,8 +1134,17 @@ async function ensureDataDir() {
   }
 }
 
-// Helper function to generate TTS with retries
-async function generateTtsWithRetry(text, retries = 3) {
+// Helper function to generate TTS with retries. Passing an AbortSignal
+// stops the current request and any pending retry.
+async function generateTtsWithRetry(text, options = {}) {
+  const {
+    retries = 3,
+    signal,
+    voice = TTS_DEFAULTS.voice,
+    model = TTS_DEFAULTS.model,
+    speed = TTS_DEFAULTS.speed,
+  } = options;
+
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       console.log(`TTS attempt ${attempt}/${retries}...`);
@@ -573,17 +1163,34 @@ async function generateTtsWithRetry(text, retries = 3) {
         );
       });
 
-      const ttsPromise = openai.audio.speech.create({
-        model: "model_q8f16",
-        voice: "af_heart",
-        input: text,
+      const ttsPromise = ttsProvider.synthesize(text, {
+        voice,
+        model,
+        speed,
+        signal,
+      });
+
+      // Providers may retry internally without checking the signal, so
+      // reject as soon as the signal fires
+      let onAbort;
+      const abortPromise = new Promise((_, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal?.addEventListener("abort", onAbort, { once: true });
       });
 
-      const mp3 = await Promise.race([ttsPromise, timeoutPromise]);
+      const buffer = await Promise.race([
+        ttsPromise,
+        timeoutPromise,
+        abortPromise,
+      ]).finally(() => signal?.removeEventListener("abort", onAbort));
       console.log(`TTS request successful on attempt ${attempt}`);
 
-      return Buffer.from(await mp3.arrayBuffer());
+      return buffer;
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
       console.error(`TTS attempt ${attempt} failed:`, error.message);
 
       if (attempt === retries) {
@@ -593,7 +1200,9 @@ async function generateTtsWithRetry(text, retries = 3) {
       // Wait before retry (exponential backoff)
       const waitTime = Math.pow(2, attempt) * 1000;
       console.log(`Retrying in ${waitTime}ms...`);
-      await new Promise((resolve) => setTimeout(resolve, waitTime));
+      await delay(waitTime, undefined, { signal }).catch(() => {
+        throw signal.reason;
+      });
     }
   }
 }
@@ -603,92 +1212,914 @@ function generateHash(url) {
   return crypto.createHash("sha256").update(url).digest("hex");
 }
 
-// Load URLs from file
-async function loadUrls() {
-  try {
-    const data = await fs.readFile(URLS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    console.error("Error loading URLs:", error);
-    return [];
-  }
+// IDs an entry with the given URL can have: the hash of the normalized URL,
+// or the hash of the URL itself for entries added before URLs were
+// normalized and for HTML entries
+function possibleEntryIds(url) {
+  const normalizedUrl = normalizeUrl(url);
+  return normalizedUrl && normalizedUrl !== url
+    ? [generateHash(normalizedUrl), generateHash(url)]
+    : [generateHash(url)];
 }
 
-// Save URLs to file
-async function saveUrls(urls) {
-  try {
-    await fs.writeFile(URLS_FILE, JSON.stringify(urls, null, 2));
-  } catch (error) {
-    console.error("Error saving URLs:", error);
+// ID of the entry with the given URL, which also names its data directory
+async function getEntryId(url) {
+  return (await findUrlEntry(url))?.id || possibleEntryIds(url)[0];
+}
+
+// Check the TTS setting fields of a request body. Returns an error
+// message, or null if the fields are valid or absent.
+function validateTtsSettings(body) {
+  for (const field of TTS_SETTING_FIELDS) {
+    const value = body?.[field];
+    if (value === undefined || value === null || value === "") continue;
+
+    if (field === "voiceMap") {
+      const mapError = validateVoiceMap(value);
+      if (mapError) return mapError;
+    } else if (field === "speed") {
+      const speed = Number(value);
+      if (!Number.isFinite(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+        return `Invalid speed, expected a number between ${MIN_SPEED} and ${MAX_SPEED}`;
+      }
+    } else if (typeof value !== "string" || !/^[\w.-]{1,100}$/.test(value)) {
+      return `Invalid ${field}`;
+    }
   }
+  return null;
 }
 
-// Step 1: Create directory and store URL info
-async function storeUrlInfo(url, urlDir) {
-  const infoPath = path.join(urlDir, "info.json");
+// Copy the TTS settings chosen in a request body onto an entry. Empty
+// values reset the entry to the defaults. Returns true if any changed.
+function applyTtsSettings(urlEntry, body) {
+  let changed = false;
+
+  for (const field of TTS_SETTING_FIELDS) {
+    if (!(field in (body || {}))) continue;
+
+    const previous = JSON.stringify(urlEntry[field]);
+    const value =
+      field === "voiceMap" ? cleanVoiceMap(body[field]) : body[field];
+    if (value === undefined || value === null || value === "") {
+      delete urlEntry[field];
+    } else {
+      urlEntry[field] = field === "speed" ? Number(value) : value;
+    }
 
-  try {
-    await fs.access(infoPath);
-    console.log(`Info already exists for: ${url}`);
-    return { success: true, skipped: true };
-  } catch {
-    // File doesn't exist, proceed with creation
+    if (JSON.stringify(urlEntry[field]) !== previous) {
+      changed = true;
+    }
   }
 
-  try {
-    await fs.mkdir(urlDir, { recursive: true });
-    await fs.writeFile(
-      infoPath,
-      JSON.stringify({ url, processedAt: new Date().toISOString() }, null, 2),
+  return changed;
+}
+
+// Settings an entry is synthesized with. Without its own voice, an entry in
+// another language than TTS_DEFAULT_LANGUAGE gets the voice of its language
+// and skips TTS_VOICE_MAP, whose voices are meant for the default language.
+function resolveTtsSettings(urlEntry, language) {
+  const isDefaultLanguage = !language || language === TTS_DEFAULT_LANGUAGE;
+
+  return {
+    voice:
+      urlEntry?.voice ||
+      (!isDefaultLanguage && LANGUAGE_VOICES[language]) ||
+      TTS_DEFAULTS.voice,
+    model: urlEntry?.model || TTS_DEFAULTS.model,
+    speed: urlEntry?.speed || TTS_DEFAULTS.speed,
+    voiceMap: {
+      ...(isDefaultLanguage ? TTS_VOICE_MAP : {}),
+      ...urlEntry?.voiceMap,
+    },
+  };
+}
+
+// Read a strategy for htmlToText from the environment, falling back to the
+// default (the first allowed value) when it is unset or invalid
+function parseStrategy(name, option) {
+  const allowed = HTML_TO_TEXT_STRATEGIES[option];
+  const value = process.env[name]?.trim().toLowerCase();
+
+  if (value && !allowed.includes(value)) {
+    console.warn(
+      `Ignoring invalid ${name} "${value}", expected one of: ${allowed.join(", ")}`,
     );
-    console.log(`Stored info for: ${url}`);
-    return { success: true, skipped: false };
-  } catch (error) {
-    console.error(`Error storing info for ${url}:`, error);
-    return { success: false, error: error.message };
+    return allowed[0];
   }
+  return value || allowed[0];
 }
 
-// Step 2: Fetch URL content and store HTML
-async function fetchAndStoreHtml(url, urlDir) {
-  const htmlPath = path.join(urlDir, "html.json");
+// Parse "key=voice,key=voice" from an env variable, skipping invalid pairs
+function parseVoicePairs(value, name, isValidKey) {
+  const voices = {};
 
-  try {
-    await fs.access(htmlPath);
-    console.log(`HTML already exists for: ${url}`);
-    // Return the existing HTML content for use in next steps
-    const htmlData = JSON.parse(await fs.readFile(htmlPath, "utf8"));
-    return { success: true, skipped: true, htmlContent: htmlData.content };
-  } catch {
-    // File doesn't exist, proceed with fetching
+  for (const pair of (value || "").split(",")) {
+    if (!pair.trim()) continue;
+
+    const [key, voice] = pair.split("=").map((part) => part?.trim());
+    if (!isValidKey(key) || !/^[\w.-]{1,100}$/.test(voice || "")) {
+      console.warn(`Ignoring invalid ${name} entry: ${pair}`);
+      continue;
+    }
+    voices[key] = voice;
   }
 
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-      },
-      timeout: 30000,
-    });
+  return voices;
+}
+
+function validateVoiceMap(value) {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return "Invalid voiceMap, expected an object of chunk type to voice";
+  }
+
+  for (const [type, voice] of Object.entries(value)) {
+    if (!CHUNK_TYPES.includes(type)) {
+      return `Invalid voiceMap chunk type "${type}", expected one of: ${CHUNK_TYPES.join(", ")}`;
+    }
+    if (voice === undefined || voice === null || voice === "") continue;
+    if (typeof voice !== "string" || !/^[\w.-]{1,100}$/.test(voice)) {
+      return `Invalid voiceMap voice for "${type}"`;
+    }
+  }
+  return null;
+}
+
+// Drop the types without a voice from a validated voice map; an empty map
+// becomes null so the entry falls back to the defaults
+function cleanVoiceMap(value) {
+  if (!value) return null;
+
+  const voiceMap = Object.fromEntries(
+    Object.entries(value).filter(([, voice]) => voice),
+  );
+  return Object.keys(voiceMap).length > 0 ? voiceMap : null;
+}
+
+// Voice used for a chunk: the voice mapped to its type, else the entry voice
+function getChunkVoice(chunk, settings) {
+  return settings.voiceMap?.[chunk.type] || settings.voice;
+}
+
+// Look up the TTS settings of an entry in urls.json
+async function getEntrySettings(url, language) {
+  return resolveTtsSettings(await findUrlEntry(url), language);
+}
+
+async function findUrlEntry(url) {
+  const urls = await loadUrls();
+  return urls.find((item) => item.url === url);
+}
+
+// Normalized URLs under which an entry is known: its own URL, and the
+// redirect target and canonical URL recorded in info.json when it was
+// fetched
+function entryUrlKeys(url, info) {
+  return [normalizeUrl(url), info?.finalUrl, info?.canonicalUrl].filter(
+    Boolean,
+  );
+}
+
+// First entry known under one of the given normalized URLs. Entries that
+// are duplicates themselves are skipped.
+async function findEntryByUrl(entries, keys) {
+  for (const urlEntry of entries) {
+    const info = await readInfo(path.join(DATA_DIR, urlEntry.id));
+    if (
+      !info?.duplicateOf &&
+      entryUrlKeys(urlEntry.url, info).some((key) => keys.includes(key))
+    ) {
+      return urlEntry;
+    }
+  }
+  return null;
+}
+
+// An entry's info.json, or null if it has not been stored yet
+async function readInfo(urlDir) {
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(urlDir, "info.json"), "utf8"),
+    );
+  } catch {
+    return null;
+  }
+}
+
+// Language recorded in an entry's info.json, if it was determined already
+async function readEntryLanguage(urlDir) {
+  return (await readInfo(urlDir))?.language || null;
+}
+
+async function loadLexicon() {
+  try {
+    const data = await fs.readFile(LEXICON_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading lexicon:", error);
+    }
+    return [];
+  }
+}
+
+async function saveLexicon(lexicon) {
+  try {
+    await fs.writeFile(LEXICON_FILE, JSON.stringify(lexicon, null, 2));
+  } catch (error) {
+    console.error("Error saving lexicon:", error);
+  }
+}
+
+// Whether two lexicon entries match the same words. Matching ignores case,
+// so words that only differ in case are the same unless both entries are
+// case-sensitive.
+function isSameLexiconWord(entry, otherEntry) {
+  if (entry.caseSensitive && otherEntry.caseSensitive) {
+    return entry.word === otherEntry.word;
+  }
+  return entry.word.toLowerCase() === otherEntry.word.toLowerCase();
+}
+
+// Validate a lexicon entry from a request body; returns an error message or
+// null when the entry is valid
+function validateLexiconEntry(body) {
+  if (typeof body?.word !== "string" || !body.word.trim()) {
+    return "word is required";
+  }
+  if (typeof body.spoken !== "string" || !body.spoken.trim()) {
+    return "spoken is required";
+  }
+  if (body.word.length > 100 || body.spoken.length > 500) {
+    return "word or spoken form is too long";
+  }
+  return null;
+}
+
+async function loadDomainRules() {
+  try {
+    const data = await fs.readFile(DOMAIN_RULES_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading domain rules:", error);
+    }
+    return [];
+  }
+}
+
+async function saveDomainRules(rules) {
+  try {
+    await fs.writeFile(DOMAIN_RULES_FILE, JSON.stringify(rules, null, 2));
+  } catch (error) {
+    console.error("Error saving domain rules:", error);
+  }
+}
+
+// Cached voice list from the TTS backend
+let voicesCache = null;
+
+// Fetch the voices offered by the TTS provider, falling back to a built-in
+// list when it cannot tell
+async function listVoices() {
+  if (voicesCache && Date.now() - voicesCache.fetchedAt < VOICES_CACHE_TTL) {
+    return voicesCache;
+  }
+
+  const voices = await ttsProvider.listVoices();
+  if (voices) {
+    voicesCache = { voices, source: "backend", fetchedAt: Date.now() };
+    return voicesCache;
+  }
+
+  console.warn(
+    `Could not fetch voices from TTS provider "${ttsProvider.name}", using fallback list`,
+  );
+  return { voices: FALLBACK_VOICES, source: "fallback" };
+}
+
+// Bring an entry from urls.json into the current format. Older files
+// store plain URL strings and entries without an ID.
+function normalizeEntry(item) {
+  const urlEntry =
+    typeof item === "string"
+      ? { url: item, isHtml: item.startsWith("html://") }
+      : item;
+
+  if (!urlEntry.id) {
+    // The ID is the hash that also names the entry's data directory
+    return { id: generateHash(urlEntry.url), ...urlEntry };
+  }
+  return urlEntry;
+}
+
+// Load URLs from file
+async function loadUrls() {
+  try {
+    const data = await fs.readFile(URLS_FILE, "utf8");
+    return JSON.parse(data).map(normalizeEntry);
+  } catch (error) {
+    console.error("Error loading URLs:", error);
+    return [];
+  }
+}
+
+// Save URLs to file
+async function saveUrls(urls) {
+  try {
+    await fs.writeFile(URLS_FILE, JSON.stringify(urls, null, 2));
+  } catch (error) {
+    console.error("Error saving URLs:", error);
+  }
+}
+
+// Remove the entry at the given index, stop its processing and delete its
+// data. Returns the removed URL.
+async function removeEntry(urls, index) {
+  const removedUrlEntry = urls.splice(index, 1)[0];
+  const removedUrl = removedUrlEntry.url;
+  await saveUrls(urls);
+
+  // Drop any jobs still waiting for this entry
+  await removePendingJobs(removedUrl);
+
+  // Stop a running job and wait for it to settle, so that it cannot write
+  // into the entry's directory (e.g. error.json) while it is removed
+  const hash = removedUrlEntry.id;
+  removingEntries.add(hash);
+  try {
+    cancelAudioGeneration(hash);
+    await Promise.all(
+      jobs
+        .filter((job) => job.url === removedUrl && job.status === "running")
+        .map((job) => runningJobRuns.get(job.id)),
+    );
+    // The stopped job stays in the queue when it failed
+    await removePendingJobs(removedUrl);
+
+    // Remove processed data
+    const urlDir = path.join(DATA_DIR, hash);
+    try {
+      await fs.rm(urlDir, { recursive: true, force: true });
+    } catch (error) {
+      console.error("Error removing processed data:", error);
+    }
+
+    // Released on their own, so that the cached files can still be freed
+    // when the directory could not be removed
+    try {
+      await releaseChunkReferences(hash);
+    } catch (error) {
+      console.error("Error releasing chunk references:", error);
+    }
+  } finally {
+    removingEntries.delete(hash);
+  }
+
+  return removedUrl;
+}
+
+// Delete the generated audio of an entry
+async function removeEntryAudio(hash) {
+  await fs.rm(path.join(DATA_DIR, hash, "text.mp3"), { force: true });
+  delete audioProgress[hash];
+}
+
+// Jobs that are pending, running or failed (completed jobs are dropped)
+let jobs = [];
+let runningJobs = 0;
+// Batches created by /api/process-all, each referencing one job per entry
+let batches = [];
+// Serializes writes to the jobs and batches files
+let jobsWriteChain = Promise.resolve();
+// Promises of the running jobs, keyed by job ID, settled when they finish
+const runningJobRuns = new Map();
+// Hashes of the entries being deleted, whose jobs must not start new work
+const removingEntries = new Set();
+
+// Load the job queue from disk. Jobs that were running when the service
+// stopped are reset to pending so they are picked up again.
+async function loadJobQueue() {
+  try {
+    const data = await fs.readFile(JOBS_FILE, "utf8");
+    jobs = JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading jobs:", error);
+    }
+    jobs = [];
+  }
+
+  try {
+    const data = await fs.readFile(BATCHES_FILE, "utf8");
+    batches = JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading batches:", error);
+    }
+    batches = [];
+  }
+
+  let resumed = 0;
+  for (const job of jobs) {
+    if (job.status === "running") {
+      job.status = "pending";
+      resumed++;
+    }
+  }
+
+  const pending = jobs.filter((job) => job.status === "pending").length;
+  if (pending > 0) {
+    console.log(
+      `Resuming ${pending} pending job(s) (${resumed} interrupted by restart)`,
+    );
+  }
+
+  await saveJobs();
+}
+
+// Save the job queue and batches to disk
+function saveJobs() {
+  const jobsSnapshot = JSON.stringify(jobs, null, 2);
+  const batchesSnapshot = JSON.stringify(batches, null, 2);
+  jobsWriteChain = jobsWriteChain
+    .then(() => fs.writeFile(JOBS_FILE, jobsSnapshot))
+    .then(() => fs.writeFile(BATCHES_FILE, batchesSnapshot))
+    .catch((error) => {
+      console.error("Error saving jobs:", error);
+    });
+  return jobsWriteChain;
+}
+
+// Determine which pipeline an entry from urls.json belongs to
+function getEntryType(urlEntry) {
+  const url = typeof urlEntry === "string" ? urlEntry : urlEntry.url;
+  return urlEntry.isHtml || url.startsWith("html://") ? "html" : "url";
+}
+
+// Create a job object without queueing it. If the entry already has a
+// pending or running job, that job is returned instead.
+function createJob(url, type, batchId) {
+  const existing = jobs.find(
+    (job) =>
+      job.url === url && (job.status === "pending" || job.status === "running"),
+  );
+  if (existing) {
+    return existing;
+  }
+
+  // Replace an earlier failed job for the same entry
+  jobs = jobs.filter((job) => job.url !== url);
+
+  const job = {
+    id: crypto.randomUUID(),
+    url,
+    type,
+    status: "pending",
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+  };
+  if (batchId) {
+    job.batchId = batchId;
+  }
+  jobs.push(job);
+  return job;
+}
+
+// Add an entry to the job queue
+async function enqueueJob(url, type) {
+  const job = createJob(url, type);
+  await saveJobs();
+
+  pumpQueue();
+  return job;
+}
+
+// Queue every entry as part of one batch
+async function enqueueBatch(urlEntries) {
+  const batch = {
+    id: crypto.randomUUID(),
+    type: "batch",
+    status: "running",
+    createdAt: new Date().toISOString(),
+    entries: [],
+  };
+
+  for (const urlEntry of urlEntries) {
+    const url = typeof urlEntry === "string" ? urlEntry : urlEntry.url;
+    const job = createJob(url, getEntryType(urlEntry), batch.id);
+    batch.entries.push({ url, jobId: job.id, status: "pending" });
+  }
+
+  batches.push(batch);
+  await saveJobs();
+
+  pumpQueue();
+  return batch;
+}
+
+// Record the outcome of a job in every batch that waits for it
+function updateBatchEntries(jobId, status, message) {
+  for (const batch of batches) {
+    for (const entry of batch.entries) {
+      if (entry.jobId !== jobId || entry.status !== "pending") continue;
+      entry.status = status;
+      if (message) {
+        entry.message = message;
+      }
+    }
+
+    // Cancelled batches keep their status; running entries still report
+    if (batch.status !== "running") continue;
+
+    const done = batch.entries.every(
+      (entry) => entry.status !== "pending" && entry.status !== "running",
+    );
+    if (done) {
+      batch.status = "completed";
+      batch.finishedAt = new Date().toISOString();
+    }
+  }
+
+  pruneBatches();
+}
+
+// Keep only the most recent finished batches
+function pruneBatches() {
+  const finished = batches.filter((batch) => batch.status !== "running");
+  const excess = finished.length - MAX_FINISHED_BATCHES;
+  if (excess > 0) {
+    const stale = new Set(finished.slice(0, excess));
+    batches = batches.filter((batch) => !stale.has(batch));
+  }
+}
+
+// Cancel a batch by removing the jobs it queued that have not started yet
+async function cancelBatch(batch) {
+  const cancelled = new Set(
+    jobs
+      .filter((job) => job.batchId === batch.id && job.status === "pending")
+      .map((job) => job.id),
+  );
+  jobs = jobs.filter((job) => !cancelled.has(job.id));
+
+  for (const entry of batch.entries) {
+    if (cancelled.has(entry.jobId)) {
+      entry.status = "cancelled";
+    }
+  }
+
+  batch.status = "cancelled";
+  batch.finishedAt = new Date().toISOString();
+  pruneBatches();
+  await saveJobs();
+}
+
+// Build the API representation of a batch with per-status counts
+function summarizeBatch(batch) {
+  const counts = {};
+  const entries = batch.entries.map((entry) => {
+    // Entries still waiting report the live state of their job
+    let status = entry.status;
+    if (status === "pending") {
+      const job = jobs.find((item) => item.id === entry.jobId);
+      if (job?.status === "running") {
+        status = "running";
+      }
+    }
+    counts[status] = (counts[status] || 0) + 1;
+    return { ...entry, status };
+  });
+
+  return { ...batch, entries, total: entries.length, counts };
+}
+
+// Check whether an entry has a pending or running job
+function isEntryQueued(hash) {
+  return jobs.some(
+    (job) =>
+      (job.status === "pending" || job.status === "running") &&
+      possibleEntryIds(job.url).includes(hash),
+  );
+}
+
+// Remove jobs for an entry that have not started yet
+async function removePendingJobs(url) {
+  const removed = jobs.filter(
+    (job) => job.url === url && job.status !== "running",
+  );
+  if (removed.length === 0) {
+    return;
+  }
+
+  jobs = jobs.filter((job) => !removed.includes(job));
+  for (const job of removed) {
+    updateBatchEntries(job.id, "cancelled", "Entry was deleted");
+  }
+  await saveJobs();
+}
+
+// Start pending jobs until the concurrency limit is reached
+function pumpQueue() {
+  while (runningJobs < PROCESSING_CONCURRENCY) {
+    const job = jobs.find((item) => item.status === "pending");
+    if (!job) {
+      return;
+    }
+    const run = runJob(job);
+    runningJobRuns.set(job.id, run);
+    run.then(() => runningJobRuns.delete(job.id));
+  }
+}
+
+// Run a single job through the matching pipeline
+async function runJob(job) {
+  runningJobs++;
+  job.status = "running";
+  job.attempts++;
+  job.startedAt = new Date().toISOString();
+  await saveJobs();
+  await emitStatusEvent("step", job.url);
+
+  let result;
+  try {
+    result =
+      job.type === "html"
+        ? await processHtml(job.url)
+        : await processUrl(job.url);
+  } catch (error) {
+    result = { success: false, message: error.message };
+  }
+
+  console.log("Processing result:", result);
+
+  if (result.success) {
+    jobs = jobs.filter((item) => item !== job);
+    updateBatchEntries(job.id, "completed", result.message);
+  } else if (result.cancelled) {
+    jobs = jobs.filter((item) => item !== job);
+    updateBatchEntries(job.id, "cancelled", result.message);
+  } else {
+    job.status = "failed";
+    job.error = result.message;
+    job.failedAt = new Date().toISOString();
+    updateBatchEntries(job.id, "failed", result.message);
+  }
+  await saveJobs();
+
+  let eventType = "failed";
+  if (result.success) {
+    eventType = "completed";
+  } else if (result.cancelled) {
+    eventType = "cancelled";
+  }
+  await emitStatusEvent(eventType, job.url, { message: result.message });
+
+  runningJobs--;
+  pumpQueue();
+}
+
+// Step 1: Create directory and store URL info
+async function storeUrlInfo(url, urlDir, settings) {
+  const infoPath = path.join(urlDir, "info.json");
+
+  try {
+    await fs.access(infoPath);
+    console.log(`Info already exists for: ${url}`);
+    // The entry's settings may have changed since the info was stored
+    await updateInfo(urlDir, settings);
+    return { success: true, skipped: true };
+  } catch {
+    // File doesn't exist, proceed with creation
+  }
+
+  try {
+    await fs.mkdir(urlDir, { recursive: true });
+    await fs.writeFile(
+      infoPath,
+      JSON.stringify(
+        { url, processedAt: new Date().toISOString(), ...settings },
+        null,
+        2,
+      ),
+    );
+    console.log(`Stored info for: ${url}`);
+    return { success: true, skipped: false };
+  } catch (error) {
+    console.error(`Error storing info for ${url}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Merge fields into an existing info.json. Missing files are left alone.
+async function updateInfo(urlDir, fields) {
+  const infoPath = path.join(urlDir, "info.json");
+
+  try {
+    const info = JSON.parse(await fs.readFile(infoPath, "utf8"));
+    await fs.writeFile(
+      infoPath,
+      JSON.stringify({ ...info, ...fields }, null, 2),
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Error updating info in ${urlDir}:`, error);
+    }
+  }
+}
+
+// Step 2: Fetch URL content and store HTML
+async function fetchAndStoreHtml(url, urlDir) {
+  const htmlPath = path.join(urlDir, "html.json");
+
+  try {
+    await fs.access(htmlPath);
+    console.log(`HTML already exists for: ${url}`);
+    // Return the existing HTML content for use in next steps
+    const htmlData = JSON.parse(await fs.readFile(htmlPath, "utf8"));
+    return {
+      success: true,
+      skipped: true,
+      htmlContent: htmlData.content,
+      pages: htmlData.pages || [],
+      documentType: htmlData.documentType || "html",
+      finalUrl: htmlData.finalUrl || null,
+      canonicalUrl: htmlData.canonicalUrl || null,
+    };
+  } catch {
+    // File doesn't exist, proceed with fetching
+  }
+
+  try {
+    const rule = findDomainRule(await loadDomainRules(), url);
+    const requestOptions = {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+        ...getDomainRuleHeaders(rule),
+      },
+      timeout: 30000,
+      // Raw bytes, decoded below with the charset of the page
+      responseType: "arraybuffer",
+      ...getFetchGuardOptions(FETCH_LIMITS),
+    };
+    checkFetchUrl(url, FETCH_LIMITS.allowList);
+    const response = await axios.get(url, requestOptions);
+    // Redirects are followed, relative links resolve against the last URL
+    const finalUrl = response.request?.res?.responseUrl || url;
+
+    // PDFs, plain text and Markdown are stored as text and skip pagination
+    const documentType = detectDocumentType(
+      response.headers["content-type"],
+      url,
+    );
+    if (documentType !== "html") {
+      const { text: content, charset } =
+        documentType === "pdf"
+          ? {
+              text: await extractPdfText(
+                Buffer.from(response.data),
+                PDF_TEXT_COMMAND,
+              ),
+            }
+          : decodeResponseBody(response, { html: false });
+      const htmlData = {
+        content,
+        headers: response.headers,
+        status: response.status,
+        documentType,
+        charset,
+      };
+      if (finalUrl !== url) {
+        htmlData.finalUrl = finalUrl;
+      }
+
+      await fs.writeFile(htmlPath, JSON.stringify(htmlData, null, 2));
+      console.log(`Fetched and stored ${documentType} document for: ${url}`);
+      return {
+        success: true,
+        skipped: false,
+        htmlContent: content,
+        pages: [],
+        documentType,
+        finalUrl: htmlData.finalUrl || null,
+        canonicalUrl: null,
+      };
+    }
+    const { text: htmlContent, charset } = decodeResponseBody(response);
+
+    // Follow the pages of an article split across several pages. Only pages
+    // of the same site are followed, and none twice.
+    const pages = [];
+    const visited = new Set([pageKey(url), pageKey(finalUrl)]);
+    let pageUrl = finalUrl;
+    let pageContent = htmlContent;
+
+    while (pages.length + 1 < FETCH_MAX_PAGES) {
+      const nextUrl = findNextPageUrl(pageContent, pageUrl, visited);
+      if (!nextUrl) break;
+      visited.add(pageKey(nextUrl));
+
+      try {
+        checkFetchUrl(nextUrl, FETCH_LIMITS.allowList);
+        const pageResponse = await axios.get(nextUrl, requestOptions);
+        const decoded = decodeResponseBody(pageResponse);
+        pageUrl = pageResponse.request?.res?.responseUrl || nextUrl;
+        pageContent = decoded.text;
+        pages.push({
+          url: nextUrl,
+          content: pageContent,
+          status: pageResponse.status,
+          charset: decoded.charset,
+        });
+      } catch (error) {
+        // Keep the pages fetched so far
+        console.warn(
+          `Error fetching page ${nextUrl} of ${url}:`,
+          describeFetchError(error, nextUrl, FETCH_LIMITS),
+        );
+        break;
+      }
+    }
 
     const htmlData = {
-      content: response.data,
+      content: htmlContent,
       headers: response.headers,
       status: response.status,
+      charset,
     };
+    if (finalUrl !== url) {
+      htmlData.finalUrl = finalUrl;
+    }
+    const canonicalUrl = findCanonicalUrl(htmlContent, finalUrl);
+    if (canonicalUrl) {
+      htmlData.canonicalUrl = canonicalUrl;
+    }
+    if (pages.length > 0) {
+      htmlData.pages = pages;
+    }
 
     await fs.writeFile(htmlPath, JSON.stringify(htmlData, null, 2));
-    console.log(`Fetched and stored HTML for: ${url}`);
-    return { success: true, skipped: false, htmlContent: response.data };
+    console.log(
+      `Fetched and stored HTML for: ${url}${
+        pages.length > 0 ? ` (${pages.length + 1} pages)` : ""
+      }`,
+    );
+    return {
+      success: true,
+      skipped: false,
+      htmlContent,
+      pages,
+      documentType,
+      finalUrl: htmlData.finalUrl || null,
+      canonicalUrl: htmlData.canonicalUrl || null,
+    };
   } catch (error) {
     console.error(`Error fetching HTML for ${url}:`, error);
-    return { success: false, error: error.message };
+    // Name the limit a refused fetch ran into
+    return {
+      success: false,
+      error: describeFetchError(error, url, FETCH_LIMITS),
+    };
   }
 }
 
-// Step 3: Process with Mozilla Readability
-async function processWithReadability(url, urlDir, htmlContent) {
+// Text and charset of a response fetched as an arraybuffer (see charset.js)
+function decodeResponseBody(response, options) {
+  return decodeBuffer(response.data, response.headers["content-type"], options);
+}
+
+// Record where a fetched URL led (redirect target and canonical URL) in
+// info.json, and flag the entry as a duplicate when an entry added before
+// it is the same page. Returns that entry, or null.
+async function checkDuplicateEntry(url, urlDir, { finalUrl, canonicalUrl }) {
+  const fields = {};
+  for (const [field, value] of Object.entries({ finalUrl, canonicalUrl })) {
+    const normalized = value ? normalizeUrl(value) : null;
+    fields[field] =
+      normalized && normalized !== normalizeUrl(url) ? normalized : undefined;
+  }
+
+  const urls = await loadUrls();
+  const index = urls.findIndex((item) => item.url === url);
+  const originalEntry =
+    index > 0
+      ? await findEntryByUrl(urls.slice(0, index), entryUrlKeys(url, fields))
+      : null;
+
+  await updateInfo(urlDir, { ...fields, duplicateOf: originalEntry?.id });
+  return originalEntry;
+}
+
+// Step 3: Extract the content with Mozilla Readability, or a fallback
+// extractor when Readability finds nothing (see contentExtractor.js). The
+// following pages of a multi-page article are extracted one by one and
+// merged into one article.
+async function processWithReadability(
+  url,
+  urlDir,
+  htmlContent,
+  { pages = [], documentType = "html", ...options } = {},
+) {
   const contentPath = path.join(urlDir, "content.json");
 
   try {
@@ -701,73 +2132,307 @@ async function processWithReadability(url, urlDir, htmlContent) {
     // File doesn't exist, proceed with processing
   }
 
+  // PDFs, plain text and Markdown are converted to chunks as a whole in
+  // step 4, there is nothing to extract
+  if (documentType !== "html") {
+    const article = {
+      title: null,
+      content: htmlContent,
+      textContent: htmlContent,
+      length: htmlContent.length,
+      documentType,
+      extractor: documentType,
+    };
+    await fs.writeFile(contentPath, JSON.stringify(article, null, 2));
+    return { success: true, skipped: false, article };
+  }
+
+  try {
+    // The site's keep and remove selectors apply before any extractor
+    const rule = findDomainRule(await loadDomainRules(), url);
+    const extractPage = (pageHtml, pageUrl) =>
+      extractContent(
+        rule ? applyDomainRule(pageHtml, rule) : pageHtml,
+        pageUrl,
+        options,
+      );
+
+    const articles = [extractPage(htmlContent, url)];
+    for (const page of pages) {
+      try {
+        articles.push(extractPage(page.content, page.url));
+      } catch (error) {
+        // A page without text does not fail the whole article
+        console.warn(`Skipping page ${page.url} of ${url}:`, error.message);
+      }
+    }
+    const article = mergeArticles(articles);
+    if (rule) {
+      article.domainRule = rule.hostname;
+    }
+
+    await fs.writeFile(contentPath, JSON.stringify(article, null, 2));
+    console.log(
+      `Extracted content with ${article.extractor} for: ${url}${
+        rule ? ` (rule for ${rule.hostname})` : ""
+      }`,
+    );
+    return { success: true, skipped: false, article };
+  } catch (error) {
+    console.error(`Error extracting content for ${url}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Step 4: Convert HTML content (or a PDF, text or Markdown document) to
+// text chunks
+async function convertToText(url, urlDir, article) {
+  const textPath = path.join(urlDir, "text.json");
+
+  try {
+    await fs.access(textPath);
+    console.log(`Text content already exists for: ${url}`);
+    // Return the existing text content for use in next steps
+    const textData = JSON.parse(await fs.readFile(textPath, "utf8"));
+    return { success: true, skipped: true, textChunks: textData.chunks };
+  } catch {
+    // File doesn't exist, proceed with conversion
+  }
+
   try {
-    const dom = new JSDOM(htmlContent, { url });
-    const reader = new Readability(dom.window.document);
-    const article = reader.parse();
+    const textChunks = articleToChunks(article);
+
+    // Add title as first chunk if it exists
+    const finalChunks = [];
+    if (article.title) {
+      finalChunks.push({
+        text: article.title,
+        type: "h",
+        level: 1,
+      });
+    }
+    finalChunks.push(...textChunks);
+
+    await fs.writeFile(
+      textPath,
+      JSON.stringify({ chunks: finalChunks }, null, 2),
+    );
+    console.log(
+      `Converted to ${finalChunks.length} text chunks for: ${url} (including title)`,
+    );
+    return { success: true, skipped: false, textChunks: finalChunks };
+  } catch (error) {
+    console.error(`Error converting to text for ${url}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Text chunks of an article, by the kind of document it came from
+function articleToChunks(article) {
+  switch (article.documentType) {
+    case "markdown":
+      return markdownToChunks(article.content, HTML_TO_TEXT_OPTIONS);
+    case "text":
+      return textToChunks(article.content, HTML_TO_TEXT_OPTIONS);
+    case "pdf":
+      return pdfTextToChunks(article.content, HTML_TO_TEXT_OPTIONS);
+    default:
+      return htmlToText(article.content, HTML_TO_TEXT_OPTIONS);
+  }
+}
+
+// Determine the language of an entry from the page's lang attribute, then
+// Readability's lang field, then the text itself
+function detectEntryLanguage(htmlContent, article, textChunks) {
+  const pageLanguage = htmlContent
+    ? normalizeLanguageTag(cheerio.load(htmlContent)("html").attr("lang"))
+    : null;
+  if (pageLanguage) {
+    return { language: pageLanguage, languageSource: "html" };
+  }
+
+  const readabilityLanguage = normalizeLanguageTag(article?.lang);
+  if (readabilityLanguage) {
+    return { language: readabilityLanguage, languageSource: "readability" };
+  }
+
+  const detected = detectLanguage(
+    textChunks.map((chunk) => chunk.text).join("\n"),
+  );
+  if (detected) {
+    return {
+      language: detected.language,
+      languageSource: "detected",
+      languageConfidence: detected.confidence,
+    };
+  }
+
+  return { language: TTS_DEFAULT_LANGUAGE, languageSource: "default" };
+}
+
+// Add the normalized text that is synthesized to each chunk, using the
+// built-in rules and the current lexicon. It is stored in text.json next to
+// the original text and refreshed on every run, so lexicon changes apply the
+// next time the audio is generated.
+async function normalizeTextChunks(url, urlDir, textChunks, language) {
+  const textPath = path.join(urlDir, "text.json");
+
+  try {
+    const lexicon = await loadLexicon();
+    let changed = false;
+
+    const normalizedChunks = textChunks.map((chunk) => {
+      const normalizedText = normalizeText(chunk.text, lexicon, language);
+      if (normalizedText !== chunk.normalizedText) {
+        changed = true;
+      }
+      return { ...chunk, normalizedText };
+    });
+
+    if (changed) {
+      const textData = JSON.parse(await fs.readFile(textPath, "utf8"));
+      await fs.writeFile(
+        textPath,
+        JSON.stringify({ ...textData, chunks: normalizedChunks }, null, 2),
+      );
+      console.log(`Normalized text chunks for: ${url}`);
+    }
+
+    return { success: true, textChunks: normalizedChunks };
+  } catch (error) {
+    console.error(`Error normalizing text for ${url}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Helper function to generate hash for text chunk
+function generateTextHash(text) {
+  return crypto.createHash("md5").update(text).digest("hex");
+}
+
+// Cache key of the audio for a piece of text. The TTS provider, voice,
+// model and speed are part of the key, so changing any of them never reuses
+// audio generated with the old settings.
+function getChunkAudioKey(text, settings) {
+  return generateTextHash(
+    JSON.stringify([
+      text,
+      settings.voice,
+      settings.model,
+      settings.speed,
+      ttsProvider.cacheKey,
+    ]),
+  );
+}
+
+function getChunkCachePath(key) {
+  return path.join(CHUNK_CACHE_DIR, `${key}.mp3`);
+}
+
+// IDs of the entries using each cached chunk file, keyed by cache key
+let chunkRefs = {};
+// Serializes writes to the chunk references file
+let chunkRefsWriteChain = Promise.resolve();
+
+async function loadChunkRefs() {
+  try {
+    const data = await fs.readFile(CHUNK_REFS_FILE, "utf8");
+    chunkRefs = JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading chunk references:", error);
+    }
+    chunkRefs = {};
+  }
+}
+
+function saveChunkRefs() {
+  const snapshot = JSON.stringify(chunkRefs, null, 2);
+  chunkRefsWriteChain = chunkRefsWriteChain
+    .then(() => fs.writeFile(CHUNK_REFS_FILE, snapshot))
+    .catch((error) => {
+      console.error("Error saving chunk references:", error);
+    });
+  return chunkRefsWriteChain;
+}
 
-    if (!article) {
-      throw new Error("Failed to parse article with Readability");
+// Mark cached chunk files as used by an entry. References are added before
+// synthesis starts, so a file is never deleted while an entry needs it.
+async function addChunkReferences(entryId, keys) {
+  for (const key of keys) {
+    const refs = (chunkRefs[key] ||= []);
+    if (!refs.includes(entryId)) {
+      refs.push(entryId);
     }
-
-    await fs.writeFile(contentPath, JSON.stringify(article, null, 2));
-    console.log(`Processed with Readability for: ${url}`);
-    return { success: true, skipped: false, article };
-  } catch (error) {
-    console.error(`Error processing with Readability for ${url}:`, error);
-    return { success: false, error: error.message };
   }
+  await saveChunkRefs();
 }
 
-// Step 4: Convert HTML content to text chunks
-async function convertToText(url, urlDir, article) {
-  const textPath = path.join(urlDir, "text.json");
+// Drop the references of an entry, except for keepKeys. Cached files no
+// other entry uses are deleted.
+async function releaseChunkReferences(entryId, keepKeys = []) {
+  const keep = new Set(keepKeys);
+  const unused = [];
+
+  for (const [key, refs] of Object.entries(chunkRefs)) {
+    if (keep.has(key) || !refs.includes(entryId)) continue;
+
+    const remaining = refs.filter((id) => id !== entryId);
+    if (remaining.length > 0) {
+      chunkRefs[key] = remaining;
+    } else {
+      delete chunkRefs[key];
+      unused.push(key);
+    }
+  }
+  await saveChunkRefs();
 
-  try {
-    await fs.access(textPath);
-    console.log(`Text content already exists for: ${url}`);
-    // Return the existing text content for use in next steps
-    const textData = JSON.parse(await fs.readFile(textPath, "utf8"));
-    return { success: true, skipped: true, textChunks: textData.chunks };
-  } catch {
-    // File doesn't exist, proceed with conversion
+  for (const key of unused) {
+    // Another entry may have started using the file in the meantime
+    if (chunkRefs[key]) continue;
+    await fs.rm(getChunkCachePath(key), { force: true });
+  }
+  if (unused.length > 0) {
+    console.log(`Removed ${unused.length} unused chunk audio file(s)`);
   }
+}
 
-  try {
-    const textChunks = htmlToText(article.content);
+// Store for tracking audio generation progress
+const audioProgress = {};
 
-    // Add title as first chunk if it exists
-    const finalChunks = [];
-    if (article.title) {
-      finalChunks.push({
-        text: article.title,
-        type: "h",
-        level: 1,
-      });
-    }
-    finalChunks.push(...textChunks);
+// AbortControllers of running audio generations, keyed by entry hash
+const audioAbortControllers = {};
 
-    await fs.writeFile(
-      textPath,
-      JSON.stringify({ chunks: finalChunks }, null, 2),
-    );
-    console.log(
-      `Converted to ${finalChunks.length} text chunks for: ${url} (including title)`,
-    );
-    return { success: true, skipped: false, textChunks: finalChunks };
-  } catch (error) {
-    console.error(`Error converting to text for ${url}:`, error);
-    return { success: false, error: error.message };
+// Open Server-Sent Events connections
+const eventClients = new Set();
+
+// Send an event to all connected SSE clients
+function broadcastEvent(type, data) {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of eventClients) {
+    client.write(message);
   }
 }
 
-// Helper function to generate hash for text chunk
-function generateTextHash(text) {
-  return crypto.createHash("md5").update(text).digest("hex");
+// Push the current pipeline status of an entry to all SSE clients
+async function emitStatusEvent(type, url, extra = {}) {
+  if (eventClients.size === 0) return;
+
+  const hash = await getEntryId(url);
+  const status = await getUrlStatus(hash);
+  broadcastEvent(type, { url, hash, status, ...extra });
 }
 
-// Store for tracking audio generation progress
-const audioProgress = {};
+// Push the audio generation progress of an entry to all SSE clients
+function emitProgressEvent(url, hash) {
+  if (eventClients.size === 0 || !audioProgress[hash]) return;
+
+  broadcastEvent("progress", {
+    url,
+    hash,
+    audioProgress: audioProgress[hash],
+  });
+}
 
 // Helper function to get processing status for a URL hash
 async function getUrlStatus(hash) {
@@ -800,6 +2465,8 @@ async function getUrlStatus(hash) {
     let step = 0;
     let stepName = "Not started";
     let audioProgressInfo = null;
+    const info = infoExists ? await readInfo(urlDir) : null;
+    const language = info?.language || null;
 
     if (infoExists) {
       status = "processing";
@@ -823,7 +2490,7 @@ async function getUrlStatus(hash) {
         step = 5;
         const progress = audioProgress[hash];
         if (progress.status === "generating") {
-          stepName = `Generating audio (${progress.currentChunk}/${progress.totalChunks})`;
+          stepName = `Generating audio (${progress.completedChunks}/${progress.totalChunks})`;
         } else if (progress.status === "concatenating") {
           stepName = "Concatenating audio files";
         }
@@ -834,6 +2501,24 @@ async function getUrlStatus(hash) {
       status = "completed";
       step = 5;
       stepName = "Audio generated";
+    } else if (info?.duplicateOf && !isEntryQueued(hash)) {
+      status = "duplicate";
+      stepName = "Duplicate of an existing entry";
+    }
+
+    // A stored failure only counts while no job is retrying the entry
+    let failure = null;
+    if (!audioExists && !isEntryQueued(hash)) {
+      failure = await readFailure(urlDir);
+    }
+    if (failure?.cancelled) {
+      status = "cancelled";
+      stepName = "Audio generation cancelled";
+    } else if (failure) {
+      status = "failed";
+      stepName = failure.step
+        ? `Failed at step ${failure.step} (${failure.stepName})`
+        : "Failed";
     }
 
     const response = {
@@ -848,6 +2533,18 @@ async function getUrlStatus(hash) {
       response.audioProgress = audioProgressInfo;
     }
 
+    if (language) {
+      response.language = language;
+    }
+
+    if (status === "duplicate") {
+      response.duplicateOf = info.duplicateOf;
+    }
+
+    if (failure) {
+      response.error = failure;
+    }
+
     return response;
   } catch (error) {
     return {
@@ -861,10 +2558,12 @@ async function getUrlStatus(hash) {
 }
 
 // Step 5: Generate TTS audio
-async function generateTtsAudio(url, urlDir, textChunks) {
+async function generateTtsAudio(url, urlDir, textChunks, settings = {}) {
   const audioPath = path.join(urlDir, "text.mp3");
-  const chunksDir = path.join(urlDir, "chunks");
-  const hash = generateHash(url);
+  // Concatenate into a temporary file so an interrupted run never leaves a
+  // truncated text.mp3 that would count as completed
+  const partialAudioPath = path.join(urlDir, "text.partial.mp3");
+  const hash = path.basename(urlDir);
 
   try {
     await fs.access(audioPath);
@@ -879,104 +2578,116 @@ async function generateTtsAudio(url, urlDir, textChunks) {
     return { success: true, skipped: true };
   }
 
+  // Allow the generation to be cancelled via cancelAudioGeneration
+  const controller = new AbortController();
+  const { signal } = controller;
+  audioAbortControllers[hash] = controller;
+  // The entry was deleted while its earlier steps ran
+  if (removingEntries.has(hash)) {
+    controller.abort(new Error("Entry was deleted"));
+  }
+
   try {
-    // Create chunks directory
-    await fs.mkdir(chunksDir, { recursive: true });
+    // Oversized chunks are synthesized in several requests, split at
+    // sentence and clause boundaries (Kokoro has limits)
+    const chunkParts = textChunks.map((chunk) =>
+      splitText(chunk.normalizedText ?? chunk.text, TTS_MAX_CHARS),
+    );
+    // Headings, quotes and body text can each have their own voice
+    const chunkSettings = textChunks.map((chunk) => ({
+      ...settings,
+      voice: getChunkVoice(chunk, settings),
+    }));
+    await addChunkReferences(
+      hash,
+      chunkParts.flatMap((parts, i) =>
+        parts.map((part) => getChunkAudioKey(part, chunkSettings[i])),
+      ),
+    );
 
     console.log(`Generating TTS for ${textChunks.length} chunks for: ${url}`);
 
-    // Initialize progress tracking
+    // Initialize progress tracking. Chunks are synthesized in parallel and
+    // may finish out of order, so progress counts finished chunks
     audioProgress[hash] = {
-      currentChunk: 0,
+      completedChunks: 0,
+      activeChunks: 0,
+      successfulChunks: 0,
+      failedChunks: 0,
       totalChunks: textChunks.length,
       status: "generating",
       startTime: Date.now(),
     };
 
-    const chunkFiles = [];
-    const chunkMeta = [];
+    // Audio files per chunk, in chunk order; null for failed chunks
+    const chunkResults = new Array(textChunks.length).fill(null);
     let successfulChunks = 0;
     let failedChunks = 0;
-
-    // Process each chunk
-    for (let i = 0; i < textChunks.length; i++) {
-      const chunk = textChunks[i];
-      const chunkHash = generateTextHash(chunk.text);
-      const chunkPath = path.join(chunksDir, `${chunkHash}.mp3`);
-
-      // Update progress
-      audioProgress[hash].currentChunk = i + 1;
-      audioProgress[hash].successfulChunks = successfulChunks;
-      audioProgress[hash].failedChunks = failedChunks;
-
-      try {
-        // Check if chunk audio already exists
-        await fs.access(chunkPath);
-        console.log(
-          `Chunk ${i + 1}/${textChunks.length} already exists (${chunk.type}${
-            chunk.level ? ` level ${chunk.level}` : ""
-          })`,
-        );
-        successfulChunks++;
-      } catch {
-        // Generate TTS for this chunk
-        console.log(
-          `Processing chunk ${i + 1}/${textChunks.length} (${chunk.type}${
-            chunk.level ? ` level ${chunk.level}` : ""
-          }) - "${chunk.text.substring(0, 50)}${
-            chunk.text.length > 50 ? "..." : ""
-          }"`,
+    let nextChunk = 0;
+
+    // Each worker takes the next chunk until all chunks are taken
+    const runWorker = async () => {
+      while (nextChunk < textChunks.length) {
+        const i = nextChunk++;
+
+        // Stop before the next chunk if the generation was cancelled
+        signal.throwIfAborted();
+
+        audioProgress[hash].activeChunks++;
+        emitProgressEvent(url, hash);
+
+        const files = await synthesizeChunk(
+          textChunks[i],
+          chunkParts[i],
+          i,
+          textChunks.length,
+          chunkSettings[i],
+          signal,
         );
-
-        // Limit text length for TTS (Kokoro has limits)
-        const limitedText = chunk.text.substring(0, 4000);
-
-        console.log(`Making TTS request for chunk ${i + 1}...`);
-
-        try {
-          const buffer = await generateTtsWithRetry(limitedText);
-          await fs.writeFile(chunkPath, buffer);
-
-          console.log(`Successfully saved chunk ${i + 1}/${textChunks.length}`);
+        chunkResults[i] = files;
+        if (files) {
           successfulChunks++;
-        } catch (chunkError) {
-          console.error(
-            `FAILED to generate TTS for chunk ${i + 1}/${textChunks.length}:`,
-          );
-          console.error(`  Error: ${chunkError.message}`);
-          console.error(
-            `  Chunk type: ${chunk.type}${
-              chunk.level ? ` level ${chunk.level}` : ""
-            }`,
-          );
-          console.error(
-            `  Text preview: "${chunk.text.substring(0, 100)}${
-              chunk.text.length > 100 ? "..." : ""
-            }"`,
-          );
-          console.error(`  Text length: ${chunk.text.length} characters`);
-          console.error(
-            `  Limited text length: ${limitedText.length} characters`,
-          );
-
-          if (chunkError.status) {
-            console.error(`  HTTP Status: ${chunkError.status}`);
-          }
-          if (chunkError.response?.data) {
-            console.error(`  Response data:`, chunkError.response.data);
-          }
-
+        } else {
           failedChunks++;
-
-          // Skip this chunk entirely - don't add to chunkFiles
-          continue;
         }
+
+        // Update progress
+        Object.assign(audioProgress[hash], {
+          completedChunks: successfulChunks + failedChunks,
+          activeChunks: audioProgress[hash].activeChunks - 1,
+          successfulChunks,
+          failedChunks,
+        });
+        emitProgressEvent(url, hash);
       }
+    };
 
-      chunkFiles.push(chunkPath);
-      chunkMeta.push(chunk);
+    const workerCount = Math.min(TTS_CONCURRENCY, textChunks.length);
+    const workerResults = await Promise.allSettled(
+      Array.from({ length: workerCount }, runWorker),
+    );
+    // Wait for all workers so none is still running once we return
+    signal.throwIfAborted();
+    const workerError = workerResults.find(
+      (result) => result.status === "rejected",
+    );
+    if (workerError) {
+      throw workerError.reason;
     }
 
+    const chunkFiles = [];
+    const chunkMeta = [];
+    chunkResults.forEach((files, i) => {
+      if (!files) return;
+      files.forEach((file, k) => {
+        chunkFiles.push(file);
+        // Later parts continue the same chunk, without a silence gap
+        chunkMeta.push(
+          k === 0 ? textChunks[i] : { ...textChunks[i], continuation: true },
+        );
+      });
+    });
+
     console.log(
       `Completed TTS generation: ${successfulChunks} successful, ${failedChunks} failed chunks`,
     );
@@ -995,6 +2706,7 @@ async function generateTtsAudio(url, urlDir, textChunks) {
 
     // Update progress to concatenating
     audioProgress[hash].status = "concatenating";
+    emitProgressEvent(url, hash);
 
     console.log(
       `Generated ${chunkFiles.length} audio chunks. Concatenating with silence gaps...`,
@@ -1027,22 +2739,129 @@ async function generateTtsAudio(url, urlDir, textChunks) {
     // Create concatenated audio with configurable silence gaps
     await concatenateAudioWithSilence(
       validChunkFiles,
-      audioPath,
-      AUDIO_CONFIG,
+      partialAudioPath,
+      { ...AUDIO_CONFIG, signal },
       validChunkMeta,
     );
+    await fs.rename(partialAudioPath, audioPath);
 
-    // Complete and clean up progress tracking
-    delete audioProgress[hash];
+    // Release chunk audio left over from earlier settings
+    await releaseChunkReferences(
+      hash,
+      chunkFiles.map((file) => path.basename(file, ".mp3")),
+    );
+    // Entries generated before the shared cache kept their own chunks
+    await fs.rm(path.join(urlDir, "chunks"), { recursive: true, force: true });
 
     console.log(`Generated final TTS audio for: ${url}`);
     return { success: true, skipped: false };
   } catch (error) {
-    // Clean up progress tracking on error
-    delete audioProgress[hash];
+    await fs.rm(partialAudioPath, { force: true });
+
+    // Generated chunk files are kept so a later run can reuse them
+    if (signal.aborted) {
+      console.log(`TTS generation cancelled for: ${url}`);
+      return { success: false, cancelled: true, error: signal.reason.message };
+    }
+
     console.error(`Error generating TTS for ${url}:`, error);
     return { success: false, error: error.message };
+  } finally {
+    // Clean up progress tracking
+    delete audioProgress[hash];
+    delete audioAbortControllers[hash];
+  }
+}
+
+// Synthesize the parts of one text chunk into cached chunk audio files,
+// reusing files that already exist. Returns the files in order, or null if
+// the chunk failed.
+async function synthesizeChunk(chunk, parts, index, total, settings, signal) {
+  const chunkLabel = `${chunk.type}${
+    chunk.level ? ` level ${chunk.level}` : ""
+  }, voice ${settings.voice}`;
+  const partPaths = parts.map((part) =>
+    getChunkCachePath(getChunkAudioKey(part, settings)),
+  );
+
+  try {
+    for (let k = 0; k < parts.length; k++) {
+      const part = parts[k];
+      const partLabel =
+        parts.length > 1 ? ` part ${k + 1}/${parts.length}` : "";
+
+      try {
+        // Check if chunk audio already exists, possibly from another entry
+        await fs.access(partPaths[k]);
+        console.log(
+          `Chunk ${index + 1}/${total}${partLabel} already exists (${chunkLabel})`,
+        );
+        continue;
+      } catch {
+        // Generate TTS for this part below
+      }
+
+      console.log(
+        `Processing chunk ${index + 1}/${total}${partLabel} (${chunkLabel}) - "${part.substring(
+          0,
+          50,
+        )}${part.length > 50 ? "..." : ""}"`,
+      );
+
+      console.log(`Making TTS request for chunk ${index + 1}${partLabel}...`);
+
+      const buffer = await generateTtsWithRetry(part, {
+        signal,
+        voice: settings.voice,
+        model: settings.model,
+        speed: settings.speed,
+      });
+      // Write to a temporary file first, so other entries never pick up
+      // a partially written file from the cache
+      const tempPath = `${partPaths[k]}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, partPaths[k]);
+
+      console.log(`Successfully saved chunk ${index + 1}/${total}${partLabel}`);
+    }
+    return partPaths;
+  } catch (chunkError) {
+    if (signal.aborted) {
+      throw signal.reason;
+    }
+
+    console.error(`FAILED to generate TTS for chunk ${index + 1}/${total}:`);
+    console.error(`  Error: ${chunkError.message}`);
+    console.error(`  Chunk type: ${chunkLabel}`);
+    console.error(
+      `  Text preview: "${chunk.text.substring(0, 100)}${
+        chunk.text.length > 100 ? "..." : ""
+      }"`,
+    );
+    console.error(`  Text length: ${chunk.text.length} characters`);
+    console.error(`  Split into ${parts.length} TTS request(s)`);
+
+    if (chunkError.status) {
+      console.error(`  HTTP Status: ${chunkError.status}`);
+    }
+    if (chunkError.response?.data) {
+      console.error(`  Response data:`, chunkError.response.data);
+    }
+
+    // Skip this chunk entirely - none of its parts end up in the audio
+    return null;
+  }
+}
+
+// Cancel a running audio generation. Returns false if none is running.
+function cancelAudioGeneration(hash) {
+  const controller = audioAbortControllers[hash];
+  if (!controller) {
+    return false;
   }
+
+  controller.abort(new Error("Audio generation cancelled"));
+  return true;
 }
 
 // Function to concatenate audio files with silence gaps
@@ -1056,6 +2875,7 @@ async function concatenateAudioWithSilence(
     paragraphSilence = 0.2,
     titleSilenceBefore = 0.5,
     titleSilenceAfter = 0.5,
+    signal,
   } = options;
 
   if (chunkFiles.length === 0) {
@@ -1094,6 +2914,7 @@ async function concatenateAudioWithSilence(
         );
         await execAsync(
           `ffmpeg -f lavfi -i anullsrc=channel_layout=mono:sample_rate=22050 -t ${duration} -y "${silencePath}"`,
+          { signal },
         );
         silenceFiles.set(key, silencePath);
       }
@@ -1110,8 +2931,9 @@ async function concatenateAudioWithSilence(
         await fs.access(absolutePath);
         fileListContent.push(`file '${absolutePath}'`);
 
-        // Add silence between chunks (except after the last one)
-        if (i < chunkFiles.length - 1) {
+        // Add silence between chunks (except after the last one and
+        // between the parts of a split chunk)
+        if (i < chunkFiles.length - 1 && !chunkMetadata[i + 1]?.continuation) {
           let duration = paragraphSilence;
           const currentType = chunkMetadata[i]?.type;
           const nextType = chunkMetadata[i + 1]?.type;
@@ -1137,7 +2959,8 @@ async function concatenateAudioWithSilence(
     // Concatenate using ffmpeg and re-encode for broader compatibility
     const absoluteOutputPath = path.resolve(outputPath);
     const ffmpegCommand = `ffmpeg -f concat -safe 0 -i "${fileListPath}" -acodec libmp3lame -ar 22050 -ac 1 -y "${absoluteOutputPath}"`;
-    await execAsync(ffmpegCommand);
+    // The signal kills the ffmpeg child process when the run is cancelled
+    await execAsync(ffmpegCommand, { signal });
 
     // Clean up temporary files
     try {
@@ -1158,74 +2981,175 @@ async function concatenateAudioWithSilence(
   }
 }
 
+// Remove the artifacts of a step and of all steps after it
+async function clearArtifacts(urlDir, fromStep) {
+  const firstIndex = PIPELINE_STEPS.indexOf(fromStep);
+  const steps = PIPELINE_STEPS.slice(firstIndex);
+
+  for (const step of steps) {
+    for (const artifact of STEP_ARTIFACTS[step] || []) {
+      await fs.rm(path.join(urlDir, artifact), {
+        recursive: true,
+        force: true,
+      });
+    }
+  }
+  // Chunk audio in the shared cache is kept for the next run to reuse; the
+  // chunks it no longer needs are released once the audio is generated
+}
+
+// Persist a failed pipeline step in the entry's error.json. The attempt
+// counter carries over from earlier failures of the same entry.
+async function recordFailure(url, urlDir, step, errorMessage, options = {}) {
+  const errorPath = path.join(urlDir, "error.json");
+  const previous = await readFailure(urlDir);
+  const cancelled = Boolean(options.cancelled);
+
+  const failure = {
+    step,
+    stepName: step ? PIPELINE_STEPS[step - 1] : null,
+    error: errorMessage,
+    failedAt: new Date().toISOString(),
+    attempts: (previous?.attempts || 0) + 1,
+  };
+  if (cancelled) {
+    failure.cancelled = true;
+  }
+
+  try {
+    await fs.mkdir(urlDir, { recursive: true });
+    await fs.writeFile(errorPath, JSON.stringify(failure, null, 2));
+  } catch (error) {
+    console.error(`Error storing failure for ${url}:`, error);
+  }
+
+  return {
+    success: false,
+    cancelled,
+    message:
+      step && !cancelled
+        ? `Failed at step ${step}: ${errorMessage}`
+        : errorMessage,
+    hash: path.basename(urlDir),
+  };
+}
+
+// Read the stored failure of an entry, if any
+async function readFailure(urlDir) {
+  try {
+    return JSON.parse(
+      await fs.readFile(path.join(urlDir, "error.json"), "utf8"),
+    );
+  } catch {
+    return null;
+  }
+}
+
+// Remove the stored failure once an entry has been processed successfully
+async function clearFailure(urlDir) {
+  await fs.rm(path.join(urlDir, "error.json"), { force: true });
+}
+
 // Main process URL function that orchestrates all steps
 async function processUrl(url) {
-  const hash = generateHash(url);
+  const hash = await getEntryId(url);
   const urlDir = path.join(DATA_DIR, hash);
 
   try {
+    const settings = await getEntrySettings(url);
+
     // Step 1: Store URL info
-    const infoResult = await storeUrlInfo(url, urlDir);
+    const infoResult = await storeUrlInfo(url, urlDir, settings);
     if (!infoResult.success) {
-      return {
-        success: false,
-        message: `Failed at step 1: ${infoResult.error}`,
-        hash,
-      };
+      return await recordFailure(url, urlDir, 1, infoResult.error);
     }
 
+    await emitStatusEvent("step", url);
+
     // Step 2: Fetch and store HTML
     const htmlResult = await fetchAndStoreHtml(url, urlDir);
     if (!htmlResult.success) {
+      return await recordFailure(url, urlDir, 2, htmlResult.error);
+    }
+
+    // Stop here when an earlier entry is the same page
+    const originalEntry = await checkDuplicateEntry(url, urlDir, htmlResult);
+    if (originalEntry) {
+      await clearFailure(urlDir);
+      console.log(`Duplicate of ${originalEntry.url}: ${url}`);
       return {
-        success: false,
-        message: `Failed at step 2: ${htmlResult.error}`,
+        success: true,
+        message: `Duplicate of ${originalEntry.url}`,
         hash,
+        duplicateOf: originalEntry.id,
       };
     }
 
-    // Step 3: Process with Readability
+    await emitStatusEvent("step", url);
+
+    // Step 3: Extract the content
     const readabilityResult = await processWithReadability(
       url,
       urlDir,
       htmlResult.htmlContent,
+      { pages: htmlResult.pages, documentType: htmlResult.documentType },
     );
     if (!readabilityResult.success) {
-      return {
-        success: false,
-        message: `Failed at step 3: ${readabilityResult.error}`,
-        hash,
-      };
+      return await recordFailure(url, urlDir, 3, readabilityResult.error);
     }
 
-    // Step 4: Convert to text
+    await emitStatusEvent("step", url);
+
+    // Step 4: Convert to text and normalize it for speech
     const textResult = await convertToText(
       url,
       urlDir,
       readabilityResult.article,
     );
     if (!textResult.success) {
-      return {
-        success: false,
-        message: `Failed at step 4: ${textResult.error}`,
-        hash,
-      };
+      return await recordFailure(url, urlDir, 4, textResult.error);
+    }
+
+    // The language decides the voice and the normalization rules
+    const languageInfo = detectEntryLanguage(
+      htmlResult.htmlContent,
+      readabilityResult.article,
+      textResult.textChunks,
+    );
+    const ttsSettings = await getEntrySettings(url, languageInfo.language);
+    await updateInfo(urlDir, {
+      languageConfidence: undefined,
+      ...languageInfo,
+      ...ttsSettings,
+    });
+
+    const normalizeResult = await normalizeTextChunks(
+      url,
+      urlDir,
+      textResult.textChunks,
+      languageInfo.language,
+    );
+    if (!normalizeResult.success) {
+      return await recordFailure(url, urlDir, 4, normalizeResult.error);
     }
 
+    await emitStatusEvent("step", url);
+
     // Step 5: Generate TTS audio
     const ttsResult = await generateTtsAudio(
       url,
       urlDir,
-      textResult.textChunks,
+      normalizeResult.textChunks,
+      ttsSettings,
     );
     if (!ttsResult.success) {
-      return {
-        success: false,
-        message: `Failed at step 5: ${ttsResult.error}`,
-        hash,
-      };
+      return await recordFailure(url, urlDir, 5, ttsResult.error, {
+        cancelled: ttsResult.cancelled,
+      });
     }
 
+    await clearFailure(urlDir);
+
     console.log(`Successfully processed: ${url}`);
     return {
       success: true,
@@ -1241,79 +3165,123 @@ async function processUrl(url) {
     };
   } catch (error) {
     console.error(`Error processing URL ${url}:`, error);
-    return { success: false, message: error.message, hash };
+    return await recordFailure(url, urlDir, null, error.message);
   }
 }
 
-// Process HTML content directly (without fetching from URL)
-async function processHtml(pseudoUrl, htmlContent) {
+// Store pasted HTML content as if it had been fetched (steps 1 and 2)
+async function storePastedHtml(pseudoUrl, urlDir, htmlContent, settings) {
+  await fs.mkdir(urlDir, { recursive: true });
+  await fs.writeFile(
+    path.join(urlDir, "info.json"),
+    JSON.stringify(
+      { url: pseudoUrl, processedAt: new Date().toISOString(), ...settings },
+      null,
+      2,
+    ),
+  );
+
+  const htmlData = {
+    content: htmlContent,
+    headers: {},
+    status: 200,
+  };
+  await fs.writeFile(
+    path.join(urlDir, "html.json"),
+    JSON.stringify(htmlData, null, 2),
+  );
+}
+
+// Process HTML content directly (without fetching from URL). The HTML is
+// read from html.json, which storePastedHtml wrote when the entry was added.
+async function processHtml(pseudoUrl) {
   const hash = generateHash(pseudoUrl);
   const urlDir = path.join(DATA_DIR, hash);
 
   try {
-    // Step 1: Store URL info
-    await fs.mkdir(urlDir, { recursive: true });
-    const infoPath = path.join(urlDir, "info.json");
-    await fs.writeFile(
-      infoPath,
-      JSON.stringify(
-        { url: pseudoUrl, processedAt: new Date().toISOString() },
-        null,
-        2,
-      ),
-    );
+    const settings = await getEntrySettings(pseudoUrl);
+    await updateInfo(urlDir, settings);
 
-    // Step 2: Store HTML content directly
-    const htmlPath = path.join(urlDir, "html.json");
-    const htmlData = {
-      content: htmlContent,
-      headers: {},
-      status: 200,
-    };
-    await fs.writeFile(htmlPath, JSON.stringify(htmlData, null, 2));
+    // Steps 1 and 2: Load the stored HTML content
+    let htmlContent;
+    try {
+      const htmlData = JSON.parse(
+        await fs.readFile(path.join(urlDir, "html.json"), "utf8"),
+      );
+      htmlContent = htmlData.content;
+    } catch (error) {
+      return await recordFailure(pseudoUrl, urlDir, 2, error.message);
+    }
 
-    // Step 3: Process with Readability
+    await emitStatusEvent("step", pseudoUrl);
+
+    // Step 3: Extract the content, unless the pasted HTML is used as it is
+    const urlEntry = await findUrlEntry(pseudoUrl);
     const readabilityResult = await processWithReadability(
       pseudoUrl,
       urlDir,
       htmlContent,
+      { skipReadability: urlEntry?.skipReadability === true },
     );
     if (!readabilityResult.success) {
-      return {
-        success: false,
-        message: `Failed at step 3: ${readabilityResult.error}`,
-        hash,
-      };
+      return await recordFailure(pseudoUrl, urlDir, 3, readabilityResult.error);
     }
 
-    // Step 4: Convert to text
+    await emitStatusEvent("step", pseudoUrl);
+
+    // Step 4: Convert to text and normalize it for speech
     const textResult = await convertToText(
       pseudoUrl,
       urlDir,
       readabilityResult.article,
     );
     if (!textResult.success) {
-      return {
-        success: false,
-        message: `Failed at step 4: ${textResult.error}`,
-        hash,
-      };
+      return await recordFailure(pseudoUrl, urlDir, 4, textResult.error);
+    }
+
+    // The language decides the voice and the normalization rules
+    const languageInfo = detectEntryLanguage(
+      htmlContent,
+      readabilityResult.article,
+      textResult.textChunks,
+    );
+    const ttsSettings = await getEntrySettings(
+      pseudoUrl,
+      languageInfo.language,
+    );
+    await updateInfo(urlDir, {
+      languageConfidence: undefined,
+      ...languageInfo,
+      ...ttsSettings,
+    });
+
+    const normalizeResult = await normalizeTextChunks(
+      pseudoUrl,
+      urlDir,
+      textResult.textChunks,
+      languageInfo.language,
+    );
+    if (!normalizeResult.success) {
+      return await recordFailure(pseudoUrl, urlDir, 4, normalizeResult.error);
     }
 
+    await emitStatusEvent("step", pseudoUrl);
+
     // Step 5: Generate TTS audio
     const ttsResult = await generateTtsAudio(
       pseudoUrl,
       urlDir,
-      textResult.textChunks,
+      normalizeResult.textChunks,
+      ttsSettings,
     );
     if (!ttsResult.success) {
-      return {
-        success: false,
-        message: `Failed at step 5: ${ttsResult.error}`,
-        hash,
-      };
+      return await recordFailure(pseudoUrl, urlDir, 5, ttsResult.error, {
+        cancelled: ttsResult.cancelled,
+      });
     }
 
+    await clearFailure(urlDir);
+
     console.log(`Successfully processed HTML: ${pseudoUrl}`);
     return {
       success: true,
@@ -1322,17 +3290,22 @@ async function processHtml(pseudoUrl, htmlContent) {
     };
   } catch (error) {
     console.error(`Error processing HTML ${pseudoUrl}:`, error);
-    return { success: false, message: error.message, hash };
+    return await recordFailure(pseudoUrl, urlDir, null, error.message);
   }
 }
 
 // Initialize and start server
 await ensureDataDir();
+await loadJobQueue();
+await loadChunkRefs();
 
 app.listen(PORT, async () => {
   console.log(`URL Processor service running on port ${PORT}`);
-  console.log(`Kokoro API URL: ${cleanKokoroUrl}`);
+  console.log(`TTS provider: ${ttsProvider.description}`);
+
+  // Test the TTS provider after a brief delay
+  setTimeout(testTtsProvider, 2000);
 
-  // Test Kokoro connection after a brief delay
-  setTimeout(testKokoroConnection, 2000);
+  // Resume jobs left over from the previous run
+  pumpQueue();
 });
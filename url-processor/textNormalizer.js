@@ -0,0 +1,264 @@
+// Spoken forms of common abbreviations. Matching ignores case.
+const ABBREVIATIONS = {
+  "e.g.": "for example",
+  "i.e.": "that is",
+  "etc.": "et cetera",
+  "approx.": "approximately",
+  "vs.": "versus",
+  "incl.": "including",
+  "excl.": "excluding",
+  "cf.": "compare",
+  "Mr.": "Mister",
+  "Mrs.": "Missus",
+  "Dr.": "Doctor",
+  "w/": "with",
+};
+
+// Abbreviations that come before a name and never end a sentence
+const TITLES = new Set(["Mr.", "Mrs.", "Dr."]);
+
+// Units after a number, as [singular, plural]
+const UNITS = {
+  "km/h": ["kilometer per hour", "kilometers per hour"],
+  mph: ["mile per hour", "miles per hour"],
+  km: ["kilometer", "kilometers"],
+  cm: ["centimeter", "centimeters"],
+  mm: ["millimeter", "millimeters"],
+  m: ["meter", "meters"],
+  kg: ["kilogram", "kilograms"],
+  mg: ["milligram", "milligrams"],
+  g: ["gram", "grams"],
+  ml: ["milliliter", "milliliters"],
+  l: ["liter", "liters"],
+  kWh: ["kilowatt hour", "kilowatt hours"],
+  kW: ["kilowatt", "kilowatts"],
+  W: ["watt", "watts"],
+  TB: ["terabyte", "terabytes"],
+  GB: ["gigabyte", "gigabytes"],
+  MB: ["megabyte", "megabytes"],
+  KB: ["kilobyte", "kilobytes"],
+  kB: ["kilobyte", "kilobytes"],
+  GHz: ["gigahertz", "gigahertz"],
+  MHz: ["megahertz", "megahertz"],
+  Hz: ["hertz", "hertz"],
+  ms: ["millisecond", "milliseconds"],
+  px: ["pixel", "pixels"],
+  "°C": ["degree Celsius", "degrees Celsius"],
+  "°F": ["degree Fahrenheit", "degrees Fahrenheit"],
+  "%": ["percent", "percent"],
+};
+
+// Currency symbols and codes, as [singular, plural]
+const CURRENCIES = {
+  $: ["dollar", "dollars"],
+  USD: ["dollar", "dollars"],
+  "€": ["euro", "euros"],
+  EUR: ["euro", "euros"],
+  "£": ["pound", "pounds"],
+  GBP: ["pound", "pounds"],
+  "¥": ["yen", "yen"],
+  JPY: ["yen", "yen"],
+  CHF: ["Swiss franc", "Swiss francs"],
+};
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// A number as written in articles: 5, 1,200, 3.5
+const NUMBER = String.raw`\d+(?:,\d{3})*(?:\.\d+)?`;
+
+/**
+ * Rewrite text into a form the TTS engine reads correctly. The user lexicon
+ * is applied first, then the built-in rules for list bullets, URLs,
+ * abbreviations, dates, versions, currency and units. The spoken forms of
+ * the built-in rules are English, so other languages only get the lexicon
+ * and the list bullet rule.
+ * @param {string} text - The text of one chunk
+ * @param {Array<{word: string, spoken: string, caseSensitive?: boolean}>} [lexicon]
+ *   User replacements, matched as whole words
+ * @param {string} [language] - Language code of the text (default: en)
+ * @returns {string} The text to synthesize
+ */
+export function normalizeText(text, lexicon = [], language = "en") {
+  let result = text;
+
+  for (const entry of lexicon) {
+    result = result.replace(
+      wordPattern(entry.word, entry.caseSensitive),
+      () => entry.spoken,
+    );
+  }
+
+  result = normalizeBullets(result, language);
+  if (language !== "en") {
+    return result;
+  }
+
+  result = normalizeUrls(result);
+  result = normalizeAbbreviations(result);
+  result = normalizeDates(result);
+  result = normalizeVersions(result);
+  result = normalizeCurrency(result);
+  result = normalizeUnits(result);
+
+  return result;
+}
+
+// Match a word or phrase on its own, not as part of a longer word
+function wordPattern(word, caseSensitive = false) {
+  return new RegExp(
+    `(?<![\\w])${escapeRegExp(word)}(?![\\w])`,
+    caseSensitive ? "g" : "gi",
+  );
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "• Item" lines from htmlToText become sentences, so each item gets a pause.
+// Indented items belong to a nested list and are announced as sub-items in
+// English; nested numbered items already carry their parent's number.
+function normalizeBullets(text, language) {
+  return text.replace(/^([ \t]*)•[ \t]*(.*)$/gm, (match, indent, item) => {
+    const sentence = /[.!?:;…]$/.test(item) || !item ? item : `${item}.`;
+    return indent && sentence && language === "en"
+      ? `Sub-item: ${sentence}`
+      : sentence;
+  });
+}
+
+// Bare URLs are read as their domain: "example dot com"
+function normalizeUrls(text) {
+  return text.replace(
+    /\b(?:https?:\/\/|www\.)[^\s<>"'()[\]]*[^\s<>"'()[\].,;:!?]/gi,
+    (url) => {
+      const host = url
+        .replace(/^https?:\/\//i, "")
+        .replace(/^www\./i, "")
+        .split(/[/?#:]/)[0];
+      return host.split(".").join(" dot ");
+    },
+  );
+}
+
+function normalizeAbbreviations(text) {
+  let result = text;
+
+  for (const [abbreviation, spoken] of Object.entries(ABBREVIATIONS)) {
+    const pattern = new RegExp(
+      `(?<![\\w.])${escapeRegExp(abbreviation)}(?![\\w])`,
+      "gi",
+    );
+    result = result.replace(pattern, (match, offset, whole) => {
+      // Keep the full stop when the abbreviation also ends the sentence
+      const rest = whole.slice(offset + match.length);
+      const endsSentence = rest.trim() === "" || /^\s+\p{Lu}/u.test(rest);
+      return abbreviation.endsWith(".") &&
+        !TITLES.has(abbreviation) &&
+        endsSentence
+        ? `${spoken}.`
+        : spoken;
+    });
+  }
+
+  return result;
+}
+
+// ISO dates: 2024-03-05 becomes "March 5, 2024"
+function normalizeDates(text) {
+  return text.replace(
+    /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    (match, year, month, day) => {
+      const monthIndex = parseInt(month, 10) - 1;
+      const dayNumber = parseInt(day, 10);
+      if (!MONTHS[monthIndex] || dayNumber < 1 || dayNumber > 31) {
+        return match;
+      }
+      return `${MONTHS[monthIndex]} ${dayNumber}, ${year}`;
+    },
+  );
+}
+
+// Version numbers: v2.1 and 1.2.3 are read "version 2 point 1" and
+// "1 point 2 point 3" instead of as dates or decimals
+function normalizeVersions(text) {
+  return text.replace(
+    /\b(v(?:ersion\s*)?)?(\d+(?:\.\d+)+)\b(?!\.\d)/gi,
+    (match, prefix, version) => {
+      const parts = version.split(".");
+      // Plain decimals like 3.5 and dates like 5.3.2024 stay as they are
+      if (!prefix && (parts.length < 3 || /^\d{4}$/.test(parts.at(-1)))) {
+        return match;
+      }
+      return `${prefix ? "version " : ""}${parts.join(" point ")}`;
+    },
+  );
+}
+
+// $5, €1.5 million, 20 EUR
+function normalizeCurrency(text) {
+  const symbols = Object.keys(CURRENCIES)
+    .filter((key) => !/^[A-Z]{3}$/.test(key))
+    .map(escapeRegExp)
+    .join("|");
+  const codes = Object.keys(CURRENCIES)
+    .filter((key) => /^[A-Z]{3}$/.test(key))
+    .join("|");
+  const scale = String.raw`(?:\s?(thousand|million|billion|trillion|k|m|bn)\b)?`;
+
+  return text
+    .replace(
+      new RegExp(`(${symbols})\\s?(${NUMBER})${scale}`, "gi"),
+      (match, symbol, amount, amountScale) =>
+        spokenAmount(CURRENCIES[symbol], amount, amountScale),
+    )
+    .replace(
+      new RegExp(`\\b(${codes})\\s?(${NUMBER})${scale}`, "g"),
+      (match, code, amount, amountScale) =>
+        spokenAmount(CURRENCIES[code], amount, amountScale),
+    )
+    .replace(
+      new RegExp(`\\b(${NUMBER})${scale}\\s?(${codes})\\b`, "g"),
+      (match, amount, amountScale, code) =>
+        spokenAmount(CURRENCIES[code], amount, amountScale),
+    );
+}
+
+function spokenAmount([singular, plural], amount, amountScale) {
+  const scaleWords = { k: "thousand", m: "million", bn: "billion" };
+  const scaleWord = amountScale
+    ? scaleWords[amountScale.toLowerCase()] || amountScale.toLowerCase()
+    : "";
+  const unit = amount === "1" && !scaleWord ? singular : plural;
+  return [amount, scaleWord, unit].filter(Boolean).join(" ");
+}
+
+// 5 km, 20°C, 50%
+function normalizeUnits(text) {
+  // Longest units first, so "km/h" wins over "km" and "kWh" over "kW"
+  const units = Object.keys(UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+
+  return text.replace(
+    new RegExp(`(?<![\\w.,])(${NUMBER})\\s?(${units})(?![\\w/])`, "g"),
+    (match, amount, unit) => {
+      const [singular, plural] = UNITS[unit];
+      return `${amount} ${amount === "1" ? singular : plural}`;
+    },
+  );
+}
@@ -0,0 +1,139 @@
+import { htmlToText } from "./htmlToText.js";
+import { normalizeText } from "./textNormalizer.js";
+
+describe("normalizeText", () => {
+  test("should leave plain text unchanged", () => {
+    const text = "A plain sentence with 3.5 apples and 12 pears.";
+    expect(normalizeText(text)).toBe(text);
+  });
+
+  test("should expand abbreviations", () => {
+    expect(normalizeText("Fruit, e.g. apples, approx. 5 vs. 6.")).toBe(
+      "Fruit, for example apples, approximately 5 versus 6.",
+    );
+  });
+
+  test("should keep the full stop when an abbreviation ends a sentence", () => {
+    expect(normalizeText("Apples, pears etc. Then more i.e. fruit")).toBe(
+      "Apples, pears et cetera. Then more that is fruit",
+    );
+    expect(normalizeText("We sell apples etc.")).toBe(
+      "We sell apples et cetera.",
+    );
+  });
+
+  test("should not end the sentence after titles", () => {
+    expect(normalizeText("Mr. Smith met Dr. Jones.")).toBe(
+      "Mister Smith met Doctor Jones.",
+    );
+  });
+
+  test("should turn bullet lines into sentences", () => {
+    expect(normalizeText("• Apples\n• Bread.\n1. First")).toBe(
+      "Apples.\nBread.\n1. First",
+    );
+  });
+
+  test("should announce the items of nested unordered lists", () => {
+    const spoken = (html, language) =>
+      htmlToText(html)
+        .map((chunk) => normalizeText(chunk.text, [], language))
+        .join("\n");
+
+    expect(spoken("<ul><li>Bread<ul><li>White</li></ul></li></ul>")).toBe(
+      "Bread.\nSub-item: White.",
+    );
+    expect(
+      spoken("<ol><li>Boil</li><li>Pasta<ul><li>Stir</li></ul></li></ol>"),
+    ).toBe("1. Boil\n2. Pasta\nSub-item: Stir.");
+    expect(spoken("<ol><li>Cook<ol><li>Boil water</li></ol></li></ol>")).toBe(
+      "1. Cook\n  1.1. Boil water",
+    );
+    expect(spoken("<ul><li>Brot<ul><li>Weiß</li></ul></li></ul>", "de")).toBe(
+      "Brot.\nWeiß.",
+    );
+  });
+
+  test("should read URLs as their domain", () => {
+    expect(
+      normalizeText(
+        "See https://www.example.com/docs?page=2. Or www.github.io!",
+      ),
+    ).toBe("See example dot com. Or github dot io!");
+  });
+
+  test("should read ISO dates", () => {
+    expect(normalizeText("Released on 2024-03-05.")).toBe(
+      "Released on March 5, 2024.",
+    );
+    expect(normalizeText("Code 2024-13-40")).toBe("Code 2024-13-40");
+  });
+
+  test("should read version numbers", () => {
+    expect(normalizeText("Update to v2.1 or Node 18.2.1 now.")).toBe(
+      "Update to version 2 point 1 or Node 18 point 2 point 1 now.",
+    );
+    expect(normalizeText("On 5.3.2024 pi was 3.14.")).toBe(
+      "On 5.3.2024 pi was 3.14.",
+    );
+  });
+
+  test("should read currency amounts", () => {
+    expect(normalizeText("It costs $5, $1 or €1.5 million.")).toBe(
+      "It costs 5 dollars, 1 dollar or 1.5 million euros.",
+    );
+    expect(normalizeText("Raised £3bn and 20 EUR and USD 40.")).toBe(
+      "Raised 3 billion pounds and 20 euros and 40 dollars.",
+    );
+  });
+
+  test("should read units", () => {
+    expect(
+      normalizeText("Run 5 km at 20°C with 1 kg, 50% and 100 km/h on 16GB."),
+    ).toBe(
+      "Run 5 kilometers at 20 degrees Celsius with 1 kilogram, 50 percent and 100 kilometers per hour on 16 gigabytes.",
+    );
+  });
+
+  test("should not read units inside words", () => {
+    expect(normalizeText("The 3rd item in 2025 gamma")).toBe(
+      "The 3rd item in 2025 gamma",
+    );
+  });
+
+  test("should apply the lexicon as whole words", () => {
+    const lexicon = [
+      { word: "k8s", spoken: "kubernetes" },
+      { word: "C++", spoken: "C plus plus" },
+      { word: "SQL", spoken: "sequel", caseSensitive: true },
+    ];
+
+    expect(
+      normalizeText("Use k8s, K8S and C++ with SQL, not sql or k8sx.", lexicon),
+    ).toBe(
+      "Use kubernetes, kubernetes and C plus plus with sequel, not sql or k8sx.",
+    );
+  });
+
+  test("should apply the lexicon before the built-in rules", () => {
+    const lexicon = [{ word: "e.g.", spoken: "for instance" }];
+
+    expect(normalizeText("Fruit, e.g. apples.", lexicon)).toBe(
+      "Fruit, for instance apples.",
+    );
+  });
+
+  test("should only apply the lexicon and bullets to other languages", () => {
+    const lexicon = [{ word: "k8s", spoken: "Kubernetes" }];
+
+    expect(
+      normalizeText("• Läuft mit k8s auf 5 km, z.B. ab $5", lexicon, "de"),
+    ).toBe("Läuft mit Kubernetes auf 5 km, z.B. ab $5.");
+  });
+
+  test("should not treat $ in spoken forms as replacement patterns", () => {
+    const lexicon = [{ word: "cash", spoken: "$& money" }];
+
+    expect(normalizeText("cash", lexicon)).toBe("$& money");
+  });
+});
@@ -0,0 +1,81 @@
+// Boundaries tried in order when a text is too long for one TTS request.
+// Each pattern matches the whitespace between two pieces, so punctuation
+// stays attached to the piece it ends.
+const SPLIT_LEVELS = [
+  // Line breaks (list items) and sentence ends, including closing quotes
+  /\s*\n\s*|(?<=[.!?…]["'”’»)\]]*)\s+/,
+  // Clauses: after commas, semicolons and colons, or before a dash
+  /(?<=[,;:])\s+|\s+(?=[–—-]\s)/,
+  // Words
+  /\s+/,
+];
+
+/**
+ * Split text into pieces of at most maxLength characters, preferring
+ * sentence boundaries, then clause boundaries, then word boundaries. Words
+ * longer than maxLength are cut as a last resort.
+ * @param {string} text - The text to split
+ * @param {number} maxLength - Maximum number of characters per piece
+ * @returns {Array<string>} Pieces in their original order
+ */
+export function splitText(text, maxLength) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return [];
+  }
+  if (trimmed.length <= maxLength) {
+    return [trimmed];
+  }
+  return splitAtLevel(trimmed, maxLength, 0);
+}
+
+// Split text at the boundaries of one level and pack the segments into
+// pieces. Segments that are still too long are split at the next level.
+function splitAtLevel(text, maxLength, level) {
+  if (level >= SPLIT_LEVELS.length) {
+    return hardSplit(text, maxLength);
+  }
+
+  const segments = text
+    .split(SPLIT_LEVELS[level])
+    .map((segment) => segment?.trim())
+    .filter(Boolean);
+
+  const pieces = [];
+  let current = "";
+
+  for (const segment of segments) {
+    if (segment.length > maxLength) {
+      if (current) {
+        pieces.push(current);
+        current = "";
+      }
+      pieces.push(...splitAtLevel(segment, maxLength, level + 1));
+      continue;
+    }
+
+    if (!current) {
+      current = segment;
+    } else if (current.length + 1 + segment.length <= maxLength) {
+      current += " " + segment;
+    } else {
+      pieces.push(current);
+      current = segment;
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+// Cut text into fixed-size pieces
+function hardSplit(text, maxLength) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += maxLength) {
+    pieces.push(text.substring(i, i + maxLength));
+  }
+  return pieces;
+}
@@ -0,0 +1,82 @@
+import { splitText } from "./textSplitter.js";
+
+describe("splitText", () => {
+  test("should return short text as a single piece", () => {
+    expect(splitText("Short sentence.", 100)).toEqual(["Short sentence."]);
+  });
+
+  test("should return no pieces for empty or whitespace-only text", () => {
+    expect(splitText("", 100)).toEqual([]);
+    expect(splitText("   \n\t ", 100)).toEqual([]);
+  });
+
+  test("should split at sentence boundaries and pack sentences", () => {
+    const text =
+      "First sentence here. Second one! Third sentence? Fourth and last.";
+    const result = splitText(text, 40);
+
+    expect(result).toEqual([
+      "First sentence here. Second one!",
+      "Third sentence? Fourth and last.",
+    ]);
+  });
+
+  test("should keep closing quotes with their sentence", () => {
+    const text = 'She said "Hello there." Then she left the room.';
+    const result = splitText(text, 30);
+
+    expect(result).toEqual([
+      'She said "Hello there."',
+      "Then she left the room.",
+    ]);
+  });
+
+  test("should split list items at line breaks", () => {
+    const text = "• First item\n• Second item\n• Third item";
+    const result = splitText(text, 30);
+
+    expect(result).toEqual(["• First item • Second item", "• Third item"]);
+  });
+
+  test("should split long sentences at clause boundaries", () => {
+    const text =
+      "This sentence is long, it has several clauses; each one is short: done.";
+    const result = splitText(text, 30);
+
+    expect(result).toEqual([
+      "This sentence is long,",
+      "it has several clauses;",
+      "each one is short: done.",
+    ]);
+  });
+
+  test("should split at word boundaries when there are no clauses", () => {
+    const text = "one two three four five six seven eight nine ten";
+    const result = splitText(text, 15);
+
+    expect(result).toEqual([
+      "one two three",
+      "four five six",
+      "seven eight",
+      "nine ten",
+    ]);
+  });
+
+  test("should cut words longer than the limit", () => {
+    const result = splitText("abcdefghijklmnopqrstuvwxyz", 10);
+
+    expect(result).toEqual(["abcdefghij", "klmnopqrst", "uvwxyz"]);
+  });
+
+  test("should never exceed the limit and keep all words in order", () => {
+    const sentence =
+      "Lorem ipsum dolor sit amet, consectetur adipiscing elit; sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. ";
+    const text = sentence.repeat(40);
+    const result = splitText(text, 200);
+
+    for (const piece of result) {
+      expect(piece.length).toBeLessThanOrEqual(200);
+    }
+    expect(result.join(" ").split(/\s+/)).toEqual(text.trim().split(/\s+/));
+  });
+});
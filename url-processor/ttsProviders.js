@@ -0,0 +1,255 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import OpenAI from "openai";
+import { spawn } from "child_process";
+import { shellQuote } from "./escaping.js";
+
+/**
+ * A TTS provider turns text into MP3 audio.
+ * @typedef {Object} TtsProvider
+ * @property {string} name - Provider name as selected by TTS_PROVIDER
+ * @property {string} description - Where the audio comes from, for logs
+ * @property {string} cacheKey - Identifies the synthesizer in the keys of
+ *   cached chunk audio, so audio of another provider or command is not reused
+ * @property {(text: string, options: {voice: string, model: string, speed: number, signal?: AbortSignal}) => Promise<Buffer>} synthesize
+ *   Generate MP3 audio for the text
+ * @property {() => Promise<Array<string>|null>} listVoices - Voices offered
+ *   by the backend, or null if the provider cannot tell
+ */
+
+export const TTS_PROVIDERS = ["kokoro", "cli", "mock"];
+
+// Audio format of the chunk files, matching the concatenated output
+const MP3_OPTIONS = "-acodec libmp3lame -ar 22050 -ac 1";
+
+/**
+ * Create the TTS provider with the given name.
+ * @param {string} name - One of TTS_PROVIDERS
+ * @param {Object} config - Provider settings
+ * @param {string} [config.baseURL] - kokoro: URL of the OpenAI-compatible API
+ * @param {string} [config.apiKey] - kokoro: API key
+ * @param {number} [config.timeout] - kokoro: request timeout in milliseconds
+ * @param {string} [config.command] - cli: shell command that reads the text
+ *   from stdin and writes audio to {output}. {voice}, {model} and {speed} are
+ *   replaced with the entry's settings.
+ * @param {string} [config.outputFormat] - cli: format the command writes
+ *   (default: wav); anything but mp3 is converted with ffmpeg
+ * @returns {TtsProvider}
+ */
+export function createTtsProvider(name, config = {}) {
+  switch (name) {
+    case "kokoro":
+      return createKokoroProvider(config);
+    case "cli":
+      return createCliProvider(config);
+    case "mock":
+      return createMockProvider();
+    default:
+      throw new Error(
+        `Unknown TTS provider "${name}", expected one of: ${TTS_PROVIDERS.join(", ")}`,
+      );
+  }
+}
+
+// Kokoro (or any other server with an OpenAI-compatible speech endpoint)
+function createKokoroProvider({ baseURL, apiKey = "no-key", timeout }) {
+  const openai = new OpenAI({ baseURL, apiKey, timeout });
+
+  return {
+    name: "kokoro",
+    description: `Kokoro API at ${baseURL}`,
+    cacheKey: "kokoro",
+
+    async synthesize(text, { voice, model, speed, signal }) {
+      const mp3 = await openai.audio.speech.create(
+        { model, voice, speed, input: text },
+        { signal },
+      );
+      return Buffer.from(await mp3.arrayBuffer());
+    },
+
+    // Kokoro servers expose the voice list under different paths, so a few
+    // known ones are tried in order
+    async listVoices() {
+      const headers = { Authorization: `Bearer ${apiKey}` };
+
+      for (const endpoint of ["/audio/voices", "/voices"]) {
+        try {
+          const response = await axios.get(`${baseURL}${endpoint}`, {
+            headers,
+            timeout: 5000,
+          });
+          const data = response.data?.voices ?? response.data;
+
+          if (Array.isArray(data) && data.length > 0) {
+            return data
+              .map((voice) => (typeof voice === "string" ? voice : voice?.id))
+              .filter(Boolean);
+          }
+        } catch {
+          // Try the next endpoint
+        }
+      }
+      return null;
+    },
+  };
+}
+
+// A local command-line synthesizer such as piper or espeak-ng
+function createCliProvider({ command, outputFormat = "wav" }) {
+  if (!command) {
+    throw new Error("TTS_CLI_COMMAND is required for the cli TTS provider");
+  }
+  if (!command.includes("{output}")) {
+    throw new Error("TTS_CLI_COMMAND must contain the {output} placeholder");
+  }
+
+  return {
+    name: "cli",
+    description: `command "${command}"`,
+    cacheKey: JSON.stringify(["cli", command, outputFormat]),
+
+    async synthesize(text, { voice, model, speed, signal }) {
+      return withTempDir(async (dir) => {
+        const outputPath = path.join(dir, `speech.${outputFormat}`);
+        const filled = fillCommand(command, {
+          voice,
+          model,
+          speed,
+          output: outputPath,
+        });
+        await runCommand(filled, text, signal);
+
+        if (outputFormat === "mp3") {
+          return fs.readFile(outputPath);
+        }
+
+        const mp3Path = path.join(dir, "speech.mp3");
+        await runCommand(
+          `ffmpeg -i ${shellQuote(outputPath)} ${MP3_OPTIONS} -y ${shellQuote(mp3Path)}`,
+          "",
+          signal,
+        );
+        return fs.readFile(mp3Path);
+      });
+    },
+
+    async listVoices() {
+      return null;
+    },
+  };
+}
+
+// Offline stand-in for a TTS backend. Speech becomes a sine tone whose
+// pitch depends on the voice and model and whose length depends on the
+// word count and speed; text without words becomes silence. The same input
+// always gives the same bytes.
+function createMockProvider() {
+  return {
+    name: "mock",
+    description: "mock tone generator (ffmpeg)",
+    cacheKey: "mock",
+
+    async synthesize(text, { voice, model, speed = 1, signal }) {
+      const words = text.split(/\s+/).filter((word) => /\w/.test(word));
+      const duration = (
+        (words.length > 0 ? 0.2 + words.length * 0.3 : 0.5) / speed
+      ).toFixed(2);
+
+      const pitchSeed = crypto
+        .createHash("md5")
+        .update(`${voice}|${model}`)
+        .digest()
+        .readUInt16BE(0);
+      const frequency = 220 + (pitchSeed % 12) * 40;
+
+      const source =
+        words.length > 0
+          ? `sine=frequency=${frequency}:sample_rate=22050`
+          : "anullsrc=channel_layout=mono:sample_rate=22050";
+
+      return withTempDir(async (dir) => {
+        const outputPath = path.join(dir, "speech.mp3");
+        await runCommand(
+          `ffmpeg -f lavfi -i ${source} -t ${duration} ${MP3_OPTIONS} -fflags +bitexact -flags:a +bitexact -map_metadata -1 -id3v2_version 0 -write_xing 0 -y ${shellQuote(outputPath)}`,
+          "",
+          signal,
+        );
+        return fs.readFile(outputPath);
+      });
+    },
+
+    async listVoices() {
+      return null;
+    },
+  };
+}
+
+// Replace {name} placeholders with shell-quoted values
+function fillCommand(command, values) {
+  return command.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? shellQuote(String(values[key])) : match,
+  );
+}
+
+async function withTempDir(callback) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "tts-"));
+  try {
+    return await callback(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Run a shell command, writing input to its stdin. Rejects with the
+// command's stderr if it exits with a non-zero code.
+function runCommand(command, input, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    // Run in its own process group, so aborting also stops the processes
+    // the shell started (pipelines, redirections)
+    const child = spawn("sh", ["-c", command], { detached: true });
+    let stderr = "";
+
+    const onAbort = () => {
+      try {
+        process.kill(-child.pid, "SIGTERM");
+      } catch {
+        // Already exited
+      }
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    child.stderr.on("data", (data) => {
+      stderr += data;
+    });
+    child.on("error", (error) => {
+      signal?.removeEventListener("abort", onAbort);
+      reject(error);
+    });
+    child.on("close", (code, exitSignal) => {
+      signal?.removeEventListener("abort", onAbort);
+      if (code === 0) {
+        resolve();
+      } else if (signal?.aborted) {
+        reject(signal.reason);
+      } else {
+        reject(
+          new Error(
+            `Command failed with ${
+              code !== null ? `exit code ${code}` : `signal ${exitSignal}`
+            }: ${stderr.trim().slice(-500)}`,
+          ),
+        );
+      }
+    });
+
+    // Commands that do not read their input close stdin early
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
@@ -0,0 +1,147 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import { createTtsProvider } from "./ttsProviders.js";
+
+const execAsync = promisify(exec);
+
+const settings = { voice: "af_heart", model: "model_q8f16", speed: 1 };
+
+const hasFfmpeg = await execAsync("ffmpeg -version").then(
+  () => true,
+  () => false,
+);
+
+describe("createTtsProvider", () => {
+  test("should create the known providers", () => {
+    expect(createTtsProvider("kokoro", { baseURL: "http://x/v1" }).name).toBe(
+      "kokoro",
+    );
+    expect(createTtsProvider("cli", { command: "cat > {output}" }).name).toBe(
+      "cli",
+    );
+    expect(createTtsProvider("mock").name).toBe("mock");
+  });
+
+  test("should tell providers and commands apart in cache keys", () => {
+    const keys = [
+      createTtsProvider("kokoro", { baseURL: "http://x/v1" }).cacheKey,
+      createTtsProvider("mock").cacheKey,
+      createTtsProvider("cli", { command: "piper -f {output}" }).cacheKey,
+      createTtsProvider("cli", { command: "espeak-ng -w {output}" }).cacheKey,
+    ];
+    expect(new Set(keys).size).toBe(4);
+  });
+
+  test("should reject unknown providers", () => {
+    expect(() => createTtsProvider("espeak")).toThrow(
+      /Unknown TTS provider "espeak"/,
+    );
+  });
+
+  test("should require a cli command with an output placeholder", () => {
+    expect(() => createTtsProvider("cli")).toThrow(/TTS_CLI_COMMAND/);
+    expect(() => createTtsProvider("cli", { command: "say" })).toThrow(
+      /\{output\}/,
+    );
+  });
+});
+
+describe("cli provider", () => {
+  test("should pass the text on stdin and read the output file", async () => {
+    const provider = createTtsProvider("cli", {
+      command: "cat > {output}",
+      outputFormat: "mp3",
+    });
+
+    const buffer = await provider.synthesize("Hello world", settings);
+
+    expect(buffer.toString()).toBe("Hello world");
+  });
+
+  test("should fill in quoted settings", async () => {
+    const provider = createTtsProvider("cli", {
+      command: "echo {voice} {model} {speed} > {output}",
+      outputFormat: "mp3",
+    });
+
+    const buffer = await provider.synthesize("ignored", {
+      voice: "it's; rm -rf x",
+      model: "m",
+      speed: 1.5,
+    });
+
+    expect(buffer.toString()).toBe("it's; rm -rf x m 1.5\n");
+  });
+
+  test("should reject with the command's error output", async () => {
+    const provider = createTtsProvider("cli", {
+      command: "echo 'no such voice' >&2; exit 3 # {output}",
+      outputFormat: "mp3",
+    });
+
+    await expect(provider.synthesize("Hello", settings)).rejects.toThrow(
+      "Command failed with exit code 3: no such voice",
+    );
+  });
+
+  test("should stop the command when aborted", async () => {
+    const provider = createTtsProvider("cli", {
+      command: "sleep 10 > {output}",
+      outputFormat: "mp3",
+    });
+    const controller = new AbortController();
+    const reason = new Error("Audio generation cancelled");
+
+    const promise = provider.synthesize("Hello", {
+      ...settings,
+      signal: controller.signal,
+    });
+    controller.abort(reason);
+
+    await expect(promise).rejects.toBe(reason);
+  });
+
+  test("should report no voice list", async () => {
+    const provider = createTtsProvider("cli", { command: "cat > {output}" });
+
+    expect(await provider.listVoices()).toBeNull();
+  });
+});
+
+describe("mock provider", () => {
+  const mockTest = hasFfmpeg ? test : test.skip;
+
+  mockTest("should generate the same audio for the same input", async () => {
+    const provider = createTtsProvider("mock");
+
+    const first = await provider.synthesize("One two three.", settings);
+    const second = await provider.synthesize("One two three.", settings);
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(second.equals(first)).toBe(true);
+  });
+
+  mockTest("should make longer audio for more words", async () => {
+    const provider = createTtsProvider("mock");
+
+    const short = await provider.synthesize("One.", settings);
+    const long = await provider.synthesize(
+      "One two three four five six seven eight.",
+      settings,
+    );
+
+    expect(long.length).toBeGreaterThan(short.length);
+  });
+
+  mockTest("should vary the tone with the voice", async () => {
+    const provider = createTtsProvider("mock");
+
+    const heart = await provider.synthesize("Hello there.", settings);
+    const adam = await provider.synthesize("Hello there.", {
+      ...settings,
+      voice: "am_adam",
+    });
+
+    expect(adam.equals(heart)).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+import * as cheerio from "cheerio";
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "gclsrc",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "twclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_ga",
+  "_gl",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "ref_src",
+]);
+
+function isTrackingParam(name) {
+  const lowerName = name.toLowerCase();
+  return lowerName.startsWith("utm_") || TRACKING_PARAMS.has(lowerName);
+}
+
+/**
+ * Normalize a URL so that links to the same page compare equal: the
+ * fragment, tracking parameters (utm_*, fbclid, gclid, ...) and trailing
+ * slashes of the path are removed, and the scheme and hostname are
+ * lowercased. The remaining query parameters keep their order and encoding.
+ * @param {string} url - An http or https URL
+ * @returns {string|null} The normalized URL, or null if it is not a valid
+ *   http or https URL
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return null;
+  }
+
+  parsed.hash = "";
+  parsed.pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+
+  // Filter the raw query string, since URLSearchParams would re-encode it
+  const params = parsed.search
+    .slice(1)
+    .split("&")
+    .filter((param) => {
+      if (!param) {
+        return false;
+      }
+      const name = param.split("=")[0].replace(/\+/g, " ");
+      try {
+        return !isTrackingParam(decodeURIComponent(name));
+      } catch {
+        return true;
+      }
+    });
+  parsed.search = params.length > 0 ? `?${params.join("&")}` : "";
+
+  return parsed.href;
+}
+
+/**
+ * Find the canonical URL a page declares with `<link rel="canonical">`.
+ * Links to the home page of the site from a page below it are ignored,
+ * since some sites declare the home page on every page.
+ * @param {string} html - HTML of the page
+ * @param {string} pageUrl - URL of the page, for relative links
+ * @returns {string|null} The absolute canonical URL, or null if the page
+ *   declares none
+ */
+export function findCanonicalUrl(html, pageUrl) {
+  if (typeof html !== "string") {
+    return null;
+  }
+
+  const $ = cheerio.load(html);
+  const href = $("link[rel~='canonical']").first().attr("href")?.trim();
+  if (!href) {
+    return null;
+  }
+
+  let canonical;
+  try {
+    canonical = new URL(href, pageUrl);
+  } catch {
+    return null;
+  }
+  if (canonical.protocol !== "http:" && canonical.protocol !== "https:") {
+    return null;
+  }
+  if (
+    canonical.pathname === "/" &&
+    !canonical.search &&
+    new URL(pageUrl).pathname.replace(/\/+$/, "") !== ""
+  ) {
+    return null;
+  }
+  return canonical.href;
+}
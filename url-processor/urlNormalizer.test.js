@@ -0,0 +1,65 @@
+import { findCanonicalUrl, normalizeUrl } from "./urlNormalizer.js";
+
+describe("normalizeUrl", () => {
+  test("should remove tracking parameters, fragments and trailing slashes", () => {
+    expect(
+      normalizeUrl(
+        "https://News.Example.com/story/?utm_source=feed&id=5&UTM_Medium=rss&fbclid=abc#comments",
+      ),
+    ).toBe("https://news.example.com/story?id=5");
+    expect(normalizeUrl("https://example.com/story?utm_source=x")).toBe(
+      "https://example.com/story",
+    );
+    expect(normalizeUrl("HTTP://example.com:80")).toBe("http://example.com/");
+  });
+
+  test("should keep the other parameters as they are", () => {
+    expect(normalizeUrl("https://example.com/search?q=a%20b&page=2&")).toBe(
+      "https://example.com/search?q=a%20b&page=2",
+    );
+    expect(normalizeUrl("https://example.com/a?ref=home")).toBe(
+      "https://example.com/a?ref=home",
+    );
+  });
+
+  test("should reject invalid URLs", () => {
+    expect(normalizeUrl("http://")).toBeNull();
+    expect(normalizeUrl("html://abc123")).toBeNull();
+    expect(normalizeUrl(undefined)).toBeNull();
+  });
+});
+
+describe("findCanonicalUrl", () => {
+  const pageUrl = "https://example.com/story?utm_source=feed";
+
+  test("should resolve the canonical link", () => {
+    expect(
+      findCanonicalUrl(
+        '<html><head><link rel="canonical" href="/articles/story"></head></html>',
+        pageUrl,
+      ),
+    ).toBe("https://example.com/articles/story");
+  });
+
+  test("should ignore missing, invalid and home page links", () => {
+    expect(findCanonicalUrl("<p>No head</p>", pageUrl)).toBeNull();
+    expect(
+      findCanonicalUrl(
+        '<link rel="canonical" href="javascript:void(0)">',
+        pageUrl,
+      ),
+    ).toBeNull();
+    expect(
+      findCanonicalUrl(
+        '<link rel="canonical" href="https://example.com/">',
+        pageUrl,
+      ),
+    ).toBeNull();
+    expect(
+      findCanonicalUrl(
+        '<link rel="canonical" href="https://example.com/">',
+        "https://example.com/?utm_source=feed",
+      ),
+    ).toBe("https://example.com/");
+  });
+});